@@ -0,0 +1,245 @@
+// Computer opponent. Each side gets its own AiController; the tier decides how
+// quickly and how accurately it reacts. Anything with an update() and reset()
+// can be dropped into game.ai[side] instead.
+export const AI_TIERS = {
+    easy: {
+        label: 'Easy',
+        trackingSpeed: 0.06, // fraction of the distance to the target covered per tick
+        reactionMs: 300, // how long a decision is kept before the AI looks again
+        errorPx: 60, // random aiming error added to every decision
+        predict: false, // aim for the intercept point instead of the ball's current x
+        smartServe: false, // serve at weak points in the wall
+        aimReturns: false // angle its own returning balls at weak points too
+    },
+    // Matches the original hardcoded opponent
+    normal: {
+        label: 'Normal',
+        trackingSpeed: 0.15,
+        reactionMs: 0,
+        errorPx: 0,
+        predict: false,
+        smartServe: false,
+        aimReturns: false
+    },
+    hard: {
+        label: 'Hard',
+        trackingSpeed: 0.3,
+        reactionMs: 80,
+        errorPx: 12,
+        predict: true,
+        smartServe: true,
+        aimReturns: true
+    },
+    unbeatable: {
+        label: 'Unbeatable',
+        trackingSpeed: 1.0,
+        reactionMs: 0,
+        errorPx: 0,
+        predict: true,
+        smartServe: true,
+        aimReturns: true
+    }
+};
+
+// Used while both sides are automated (DEMO brick); the original demo behaviour
+const DEMO_TIER = {
+    trackingSpeed: 1.0,
+    reactionMs: 0,
+    errorPx: 0,
+    predict: false,
+    smartServe: false,
+    aimReturns: false,
+    serveToMidline: true
+};
+
+export class AiController {
+    constructor(game, side, tier = 'normal') {
+        this.game = game;
+        this.side = side;
+        this.setTier(tier);
+        this.reset();
+    }
+
+    setTier(name) {
+        this.tierName = AI_TIERS[name] ? name : 'normal';
+        this.tier = AI_TIERS[this.tierName];
+    }
+
+    reset() {
+        this.articulations = { revision: -1, byBrick: new Map() };
+        this.decisionAt = -Infinity;
+        this.targetX = null;
+        this.trackingSpeed = 0;
+        this.aimError = 0;
+    }
+
+    get paddle() {
+        return (this.side === 'top') ? this.game.paddleTop : this.game.paddleBottom;
+    }
+
+    update() {
+        const game = this.game;
+        const tier = game.isDemoMode ? DEMO_TIER : this.tier;
+        const paddle = this.paddle;
+        const balls = (this.side === 'top') ? game.ballsTop : game.ballsBottom;
+        const opponentBalls = (this.side === 'top') ? game.ballsBottom : game.ballsTop;
+
+        const primaryBall = balls[0];
+
+        if (primaryBall && !primaryBall.active) {
+            this.serve(tier, paddle, primaryBall);
+            return;
+        }
+
+        const allBalls = [...balls, ...opponentBalls].filter(b => b.active);
+        const incomingBalls = allBalls.filter(b => {
+            if (this.side === 'top') return b.vy < 0;
+            return b.vy > 0;
+        });
+
+        if (incomingBalls.length > 0) {
+            // Stick to the last decision until the reaction time has passed
+            if (this.targetX === null || game.clock - this.decisionAt >= tier.reactionMs) {
+                this.decide(tier, paddle, incomingBalls);
+            }
+            paddle.moveTo(paddle.x + (this.targetX - paddle.x) * this.trackingSpeed);
+        } else {
+            this.targetX = null;
+            const idleX = primaryBall ? primaryBall.x : game.width / 2;
+            const targetX = paddle.x + (idleX - paddle.x) * 0.05;
+            paddle.moveTo(targetX);
+        }
+    }
+
+    decide(tier, paddle, incomingBalls) {
+        const game = this.game;
+
+        // Most urgent ball first: nearest for simple tiers, soonest to arrive for predicting ones
+        const urgency = (b) => {
+            const dist = (this.side === 'top') ? b.y : game.height - b.y;
+            return tier.predict ? dist / (Math.abs(b.vy) || 0.1) : dist;
+        };
+        incomingBalls.sort((a, b) => urgency(a) - urgency(b));
+        const targetBall = incomingBalls[0];
+
+        const contactY = this.contactY(paddle, targetBall);
+        const ballX = tier.predict ? this.predictX(targetBall, contactY) : targetBall.x;
+
+        let steerOffset = 0;
+        const horizontalRatio = Math.abs(targetBall.vx) / (Math.abs(targetBall.vy) || 0.1);
+        this.trackingSpeed = tier.trackingSpeed;
+
+        const weakSpot = (tier.aimReturns && targetBall.side === this.side) ? this.findWeakSpot() : null;
+        if (weakSpot) {
+            // Choose where on the paddle to take the ball so the deflection
+            // (see Ball._onPaddleHit) sends it at the weak spot
+            const ticks = Math.abs(weakSpot.canvasYPosition - contactY) / (Math.abs(targetBall.vy) || 0.1);
+            const neededVx = (weakSpot.canvasXPosition - ballX) / Math.max(1, ticks);
+            const hitPos = Math.max(-0.8, Math.min(0.8, (neededVx - targetBall.vx) / 3));
+            steerOffset = -hitPos * paddle.width / 2;
+        } else if (horizontalRatio > 2) {
+            // If ball is getting horizontal, hit it with the corners to steepen the angle
+            // steerOffset = how much we push the paddle *away* from the ball's center
+            // to make the ball hit the counter-acting corner.
+            const intensity = Math.min(0.45, horizontalRatio * 0.1);
+            steerOffset = (targetBall.vx > 0) ? (paddle.width * intensity) : -(paddle.width * intensity);
+
+            // If it's very flat, prioritize this move with faster reaction
+            if (horizontalRatio > 4) this.trackingSpeed = Math.max(0.4, tier.trackingSpeed);
+        }
+
+        if (tier.errorPx > 0) this.aimError = (game.rng.next() - 0.5) * 2 * tier.errorPx;
+        this.targetX = ballX + steerOffset + this.aimError;
+        this.decisionAt = game.clock;
+    }
+
+    // Height at which a ball's centre meets this side's paddle face
+    contactY(paddle, ball) {
+        const bounds = paddle.getBounds();
+        return (this.side === 'top') ? bounds.bottom + ball.radius : bounds.top - ball.radius;
+    }
+
+    // Where the ball will cross contactY, folding its path off the side walls.
+    // Bricks are ignored; the AI re-decides after every wall bounce anyway.
+    predictX(ball, contactY) {
+        const width = this.game.width;
+        const ticks = (contactY - ball.y) / (ball.vy || 0.001);
+        if (ticks <= 0) return ball.x;
+
+        const lo = ball.radius;
+        const span = Math.max(1, width - 2 * ball.radius);
+        let x = (ball.x + ball.vx * ticks - lo) % (2 * span);
+        if (x < 0) x += 2 * span;
+        if (x > span) x = 2 * span - x;
+        return lo + x;
+    }
+
+    serve(tier, paddle, ball) {
+        const game = this.game;
+        let targetX;
+        let targetY;
+
+        const weakSpot = tier.smartServe ? this.findWeakSpot() : null;
+        if (weakSpot) {
+            targetX = weakSpot.canvasXPosition + (tier.errorPx > 0 ? (game.rng.next() - 0.5) * tier.errorPx : 0);
+            targetY = weakSpot.canvasYPosition;
+        } else {
+            targetX = game.width / 2 + (game.rng.next() - 0.5) * 100;
+            targetY = tier.serveToMidline ? game.height / 2 : ((this.side === 'top') ? paddle.y + 10 : paddle.y - 10);
+        }
+        ball.launch(paddle, targetX, targetY);
+    }
+
+    // Picks the exposed brick (nearest to us in its column) that is worth most
+    // to hit: bricks holding the wall together force a repair that pushes the
+    // wall towards the opponent, and thin columns are next best.
+    findWeakSpot() {
+        const game = this.game;
+        const wall = game.wall;
+        const faceUp = (this.side === 'top');
+
+        const columns = new Map(); // column -> { exposed, count }
+        for (const b of wall.activeBrickMap.values()) {
+            // Only aim at bricks that are on screen and can still be broken by us
+            if (b.canvasXPosition < 0 || b.canvasXPosition > game.width) continue;
+            if (b.inertFromSide === this.side) continue;
+            const col = columns.get(b.columnCoordinate) || { exposed: null, count: 0 };
+            col.count++;
+            if (!col.exposed || (faceUp ? b.rowCoordinate < col.exposed.rowCoordinate : b.rowCoordinate > col.exposed.rowCoordinate)) {
+                col.exposed = b;
+            }
+            columns.set(b.columnCoordinate, col);
+        }
+
+        let best = null;
+        let bestScore = -Infinity;
+        for (const { exposed, count } of columns.values()) {
+            // Steel never breaks; armor takes several shots to pay off
+            if (exposed.steel) continue;
+            let score = 1 / count;
+            if (this.isArticulation(exposed)) score += 2;
+            score /= exposed.hp;
+            // Prefer shots that don't have to travel across the screen
+            score -= Math.abs(exposed.canvasXPosition - this.paddle.x) / (game.width * 4);
+            if (score > bestScore) {
+                bestScore = score;
+                best = exposed;
+            }
+        }
+        return best;
+    }
+
+    // True if removing the brick would break the left-to-right connection.
+    // Returning balls ask on every decision, so answers are kept until the
+    // wall next changes.
+    isArticulation(brick) {
+        const wall = this.game.wall;
+        if (this.articulations.revision !== wall.revision) this.articulations = { revision: wall.revision, byBrick: new Map() };
+        let result = this.articulations.byBrick.get(brick);
+        if (result === undefined) {
+            result = !wall.connectedWithout(brick);
+            this.articulations.byBrick.set(brick, result);
+        }
+        return result;
+    }
+}
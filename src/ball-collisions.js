@@ -0,0 +1,102 @@
+import { sweepCircles } from './collision.js';
+
+const MIN_SPEED = 2; // px/tick; the slowest a ball may come out of a collision
+const MIN_VERTICAL = 0.2; // share of the speed kept along y, as for paddle bounces
+
+// Ball-to-ball contacts (rules.ballCollisions), run once every ball has moved.
+// A ball's step is taken as the straight line from where it started to where
+// it ended up, which is exact unless it also bounced off something on the way.
+// Balls are equally heavy, so a hit swaps their speeds along the line between
+// their centres.
+export function collideBalls(game) {
+    const mode = game.rules.ballCollisions;
+    if (mode === 'off') return;
+    const balls = [...game.ballsTop, ...game.ballsBottom].filter(b => b.active);
+    if (balls.length < 2) return;
+
+    // Broad phase: sort by the left edge of the x range each ball swept this
+    // step and only pair balls whose ranges overlap
+    const spans = balls.map(ball => ({
+        ball,
+        minX: Math.min(ball.prevX, ball.x) - ball.radius,
+        maxX: Math.max(ball.prevX, ball.x) + ball.radius,
+        minY: Math.min(ball.prevY, ball.y) - ball.radius,
+        maxY: Math.max(ball.prevY, ball.y) + ball.radius
+    }));
+    spans.sort((p, q) => p.minX - q.minX);
+
+    const contacts = [];
+    for (let i = 0; i < spans.length; i++) {
+        const p = spans[i];
+        for (let j = i + 1; j < spans.length && spans[j].minX <= p.maxX; j++) {
+            const q = spans[j];
+            if (q.minY > p.maxY || q.maxY < p.minY) continue;
+            const a = p.ball, b = q.ball;
+            if (mode === 'opponents' && a.side === b.side) continue;
+            const t = sweepCircles(
+                a.prevX, a.prevY, a.x - a.prevX, a.y - a.prevY,
+                b.prevX, b.prevY, b.x - b.prevX, b.y - b.prevY,
+                a.radius + b.radius
+            );
+            if (t !== null) contacts.push({ a, b, t });
+        }
+    }
+
+    // Earliest first; a ball takes part in one collision per step
+    contacts.sort((p, q) => p.t - q.t);
+    const done = new Set();
+    for (const { a, b, t } of contacts) {
+        // An earlier collision's rest of the step may have cost a ball (removeBall, sticky paddle)
+        if (done.has(a) || done.has(b) || !a.active || !b.active) continue;
+        if (bounceApart(game, a, b, t)) {
+            done.add(a);
+            done.add(b);
+        }
+    }
+}
+
+function bounceApart(game, a, b, t) {
+    const ax = a.prevX + (a.x - a.prevX) * t, ay = a.prevY + (a.y - a.prevY) * t;
+    const bx = b.prevX + (b.x - b.prevX) * t, by = b.prevY + (b.y - b.prevY) * t;
+    const dist = Math.hypot(bx - ax, by - ay);
+    if (dist === 0) return false;
+    const nx = (bx - ax) / dist, ny = (by - ay) / dist;
+
+    // Only balls actually closing in on each other
+    const closing = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+    if (closing <= 0) return false;
+    a.vx -= closing * nx;
+    a.vy -= closing * ny;
+    b.vx += closing * nx;
+    b.vy += closing * ny;
+
+    game.emit('ballCollision', { a, b, x: (ax + bx) / 2, y: (ay + by) / 2 });
+
+    // Finish the step from the point of contact with the new velocities,
+    // sweeping against bricks, paddles and side walls like any other move
+    for (const [ball, x, y] of [[a, ax, ay], [b, bx, by]]) {
+        settle(ball);
+        ball.x = x;
+        ball.y = y;
+        ball.travel(game, 1 - t);
+    }
+    return true;
+}
+
+// Keeps the ball's speed within its limits and stops it from ending up
+// travelling sideways forever, where no paddle could reach it
+function settle(ball) {
+    const current = Math.hypot(ball.vx, ball.vy);
+    const speed = Math.max(MIN_SPEED, Math.min(ball.maxGameSpeed, current));
+    if (current > 0) {
+        ball.vx *= speed / current;
+        ball.vy *= speed / current;
+    }
+    const minVy = speed * MIN_VERTICAL;
+    if (Math.abs(ball.vy) < minVy) {
+        const towards = ball.vy !== 0 ? Math.sign(ball.vy) : (ball.side === 'top' ? 1 : -1);
+        ball.vy = towards * minVy;
+        ball.vx = (ball.vx < 0 ? -1 : 1) * Math.sqrt(speed * speed - minVy * minVy);
+    }
+    ball.gameSpeed = speed;
+}
@@ -1,20 +1,31 @@
+import { sweepCircleRect, reflect } from './collision.js';
+
+// Contacts resolved per step at most; a ball wedged in a pocket of bricks
+// drops the rest of its motion for that step
+const MAX_CONTACTS = 8;
+
 export class Ball {
-    constructor(canvas, side, color) {
-        this.canvas = canvas;
+    constructor(game, side, color) {
+        this.game = game;
         this.side = side; // 'top' or 'bottom'
         this.color = color;
 
         this.radius = 8;
         this.x = 0;
         this.y = 0;
+        // Position at the start of the current step, used for render interpolation
+        this.prevX = 0;
+        this.prevY = 0;
         this.vx = 0;
         this.vy = 0;
         this.active = false;
         this.isExtra = false; // flag for spawned extra balls
+        this.pierce = 0; // bricks left to break through without bouncing (piercing power-up)
+        this.launchSpeed = 0; // gameSpeed it was sent off with, before any bounce sped it up
 
         // Speed growth configuration
-        this.maxGameSpeed = 10;
-        this.bounceGrowthFactor = 0.035;
+        this.maxGameSpeed = Math.min(10, game.rules.maxBallSpeed);
+        this.bounceGrowthFactor = game.rules.bounceGrowthFactor;
 
         this.reset();
     }
@@ -24,22 +35,43 @@ export class Ball {
         this.vx = 0;
         this.vy = 0;
         this.gameSpeed = 0;
+        this.pierce = 0;
+    }
+
+    // Keeps the direction, changes the speed (slowBall power-up)
+    setSpeed(speed) {
+        if (!this.active) return;
+        const current = Math.hypot(this.vx, this.vy) || 1;
+        this.gameSpeed = speed;
+        this.vx = (this.vx / current) * speed;
+        this.vy = (this.vy / current) * speed;
+    }
+
+    // Resting position in front of the paddle, where a launch starts from
+    placeOnPaddle(paddle) {
+        this.x = paddle.x;
+        const offset = (this.radius + paddle.height / 2 + 2);
+        this.y = (this.side === 'top') ? paddle.y + offset : paddle.y - offset;
     }
 
     launch(paddle, targetX, targetY) {
         if (this.active) return;
 
+        // A ball that was just lost is still off-screen until its next update;
+        // an immediate (AI) relaunch must not start from there.
+        this.placeOnPaddle(paddle);
         this.active = true;
         const dx = targetX - paddle.x;
         const dy = targetY - paddle.y;
         const dist = Math.max(1, Math.sqrt(dx * dx + dy * dy));
         const minSpeed = 2;
 
-        const computedMax = Math.min(12, Math.max(6, Math.round(this.canvas.clientHeight / 80)));
+        const computedMax = Math.min(this.game.rules.maxBallSpeed, Math.max(6, Math.round(this.game.height / 80)));
         this.maxGameSpeed = computedMax;
 
         const maxSpeed = this.maxGameSpeed || 10;
         this.gameSpeed = Math.min(maxSpeed, Math.max(minSpeed, dist / 40));
+        this.launchSpeed = this.gameSpeed;
 
         let nx = dx / dist;
         let ny = dy / dist;
@@ -62,50 +94,40 @@ export class Ball {
     update(game) {
         if (!this.active) {
             const paddle = (this.side === 'top') ? game.paddleTop : game.paddleBottom;
-            this.x = paddle.x;
-            const offset = (this.radius + paddle.height / 2 + 2);
-            this.y = (this.side === 'top') ? paddle.y + offset : paddle.y - offset;
+            this.placeOnPaddle(paddle);
+            // Resting balls ride along with the (interpolated) paddle
+            this.prevX = paddle.prevX;
+            this.prevY = this.y;
             return;
         }
 
-        // DYNAMIC SUB-STEPPING: Ensure no tunneling at high speeds
-        // We move in small increments and re-check velocity each time
-        const subSteps = Math.max(1, Math.ceil(this.gameSpeed / 2));
-        const dt = 1.0 / subSteps;
-
-        for (let s = 0; s < subSteps; s++) {
-            this.x += this.vx * dt;
-            this.y += this.vy * dt;
-
-            // Bounce off left/right walls
-            if (this.x - this.radius < 0) {
-                this.x = this.radius;
-                this.vx *= -1;
-            } else if (this.x + this.radius > game.width) {
-                this.x = game.width - this.radius;
-                this.vx *= -1;
-            }
-
-            // Bounce off the middle wall (bricks)
-            const wallHit = game.wall.checkCollision(this);
-            if (wallHit) {
-                if (game.onWallHit) game.onWallHit(this);
-            }
-        }
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.travel(game, 1);
 
         const gameHeight = game.height;
-        const paddle = (this.side === 'top') ? game.paddleTop : game.paddleBottom;
-        const opponentPaddle = (this.side === 'top') ? game.paddleBottom : game.paddleTop;
-
-        // Check bounce for OWN paddle and OPPONENT paddle
-        this._checkPaddleBounce(paddle);
-        this._checkPaddleBounce(opponentPaddle);
 
         // Unified Off-screen cleanup
         let scoringWinner = null;
         if (this.y < -this.radius) scoringWinner = 'bottom';
         else if (this.y > gameHeight + this.radius) scoringWinner = 'top';
 
+        // A shield behind the paddle sends one lost ball back into play
+        const guard = (scoringWinner === 'bottom') ? game.paddleTop : (scoringWinner === 'top') ? game.paddleBottom : null;
+        if (guard && guard.shielded) {
+            guard.shielded = false;
+            if (scoringWinner === 'bottom') {
+                this.y = this.radius;
+                this.vy = Math.abs(this.vy);
+            } else {
+                this.y = gameHeight - this.radius;
+                this.vy = -Math.abs(this.vy);
+            }
+            this.prevY = this.y;
+            game.emit('shieldUsed', { side: guard.side });
+            return;
+        }
+
         if (scoringWinner) {
             game.scorePoint(scoringWinner);
             const ballArray = (this.side === 'top') ? game.ballsTop : game.ballsBottom;
@@ -126,42 +148,99 @@ export class Ball {
         }
     }
 
-    _checkPaddleBounce(paddle) {
-        const pBounds = paddle.getBounds();
-        // Check if ball is within x-bounds of the paddle
-        if (this.x + this.radius > pBounds.left && this.x - this.radius < pBounds.right) {
-            // Check if ball is overlapping the paddle's vertical space
-            if (this.y + this.radius > pBounds.top && this.y - this.radius < pBounds.bottom) {
-                // Determine eject direction based on velocity
-                if (this.vy < 0 && this.y > pBounds.centerY) {
-                    // Hit top paddle from below
-                    this.y = pBounds.bottom + this.radius;
-                    this.vy *= -1;
-                } else if (this.vy > 0 && this.y < pBounds.centerY) {
-                    // Hit bottom paddle from above
-                    this.y = pBounds.top - this.radius;
-                    this.vy *= -1;
-                } else {
-                    return;
-                }
-
-                // Apply "curved" paddle deflection
-                // hitPos ranges from -1 (left edge) to 1 (right edge)
-                const hitPos = (this.x - paddle.x) / (paddle.width / 2);
-
-                // Add stronger deflection
-                this.vx += hitPos * 3;
-
-                // Enforce a minimum vertical velocity (at least 20% of total speed)
-                // This prevents the ball from going too horizontal
-                const minVy = this.gameSpeed * 0.2;
-                if (Math.abs(this.vy) < minVy) {
-                    this.vy = (this.vy > 0 ? 1 : -1) * minVy;
-                }
-
-                this._onBounce();
+    // Swept motion over `fraction` of a step: find the first thing the ball
+    // touches on its path (side walls, bricks, either paddle), move up to it,
+    // bounce, and carry on with whatever is left. A ball-to-ball collision
+    // finishes its step through here as well.
+    travel(game, fraction) {
+        const pierced = new Set(); // bricks being passed through
+        let remaining = fraction;
+        for (let i = 0; i < MAX_CONTACTS && remaining > 0 && this.active; i++) {
+            const dx = this.vx * remaining;
+            const dy = this.vy * remaining;
+            const contact = this.firstContact(game, dx, dy, pierced);
+            if (!contact) {
+                this.x += dx;
+                this.y += dy;
+                break;
             }
+            this.x += dx * contact.t + contact.nx * contact.depth;
+            this.y += dy * contact.t + contact.ny * contact.depth;
+            remaining *= 1 - contact.t;
+            this.respond(game, contact, pierced);
         }
+        // Pushing out of a brick must not leave the ball outside the field
+        this.x = Math.max(this.radius, Math.min(game.width - this.radius, this.x));
+    }
+
+    // Earliest contact along (dx, dy), earliest first; ties go to the side
+    // walls, then bricks, then paddles
+    firstContact(game, dx, dy, pierced) {
+        let best = null;
+        const consider = (contact) => {
+            if (contact && (!best || contact.t < best.t)) best = contact;
+        };
+
+        const left = this.radius, right = game.width - this.radius;
+        if (dx < 0 && this.x + dx < left) consider({ t: Math.max(0, (left - this.x) / dx), nx: 1, ny: 0, depth: 0, sideWall: true });
+        if (dx > 0 && this.x + dx > right) consider({ t: Math.max(0, (right - this.x) / dx), nx: -1, ny: 0, depth: 0, sideWall: true });
+
+        consider(game.wall.sweep(this, dx, dy, pierced));
+
+        for (const paddle of [game.paddleTop, game.paddleBottom]) {
+            const contact = sweepCircleRect(this.x, this.y, dx, dy, this.radius, paddle.getBounds());
+            // Paddles only block from the front and the ends; a ball coming
+            // back from behind (shield) passes through
+            if (contact && contact.ny * paddle.facing >= 0) consider({ ...contact, paddle });
+        }
+        return best;
+    }
+
+    respond(game, contact, pierced) {
+        if (contact.brick) {
+            const { pierces, firstHit } = game.wall.hitBrick(this, contact.brick);
+            if (pierces) pierced.add(contact.brick);
+            else this.bounce(contact);
+            // Balls piling into the same brick in one step collect its power-up once
+            if (firstHit && game.onWallHit) game.onWallHit(this);
+        } else if (contact.paddle) {
+            this.bounce(contact);
+            if (contact.ny * contact.paddle.facing > 0) this._onPaddleHit(contact.paddle);
+        } else {
+            this.bounce(contact);
+        }
+    }
+
+    bounce({ nx, ny }) {
+        const v = reflect(this.vx, this.vy, nx, ny);
+        this.vx = v.vx;
+        this.vy = v.vy;
+    }
+
+    // The front of a paddle (face or a corner) sent the ball back into play
+    _onPaddleHit(paddle) {
+        // Sticky paddle: catch our own primary ball so it can be aimed again.
+        // Extra balls can't rest on the paddle, so they bounce as usual.
+        const ballArray = (this.side === 'top') ? this.game.ballsTop : this.game.ballsBottom;
+        if (paddle.sticky && paddle.side === this.side && ballArray[0] === this) {
+            paddle.sticky = false;
+            this.reset();
+            return;
+        }
+
+        // Apply "curved" paddle deflection
+        // hitPos ranges from -1 (left edge) to 1 (right edge)
+        const hitPos = Math.max(-1, Math.min(1, (this.x - paddle.x) / (paddle.width / 2)));
+
+        // Add stronger deflection
+        this.vx += hitPos * 3;
+
+        // Enforce a minimum vertical velocity (at least 20% of total speed) away
+        // from the paddle. This prevents the ball from going too horizontal
+        const minVy = this.gameSpeed * 0.2;
+        if (this.vy * paddle.facing < minVy) this.vy = paddle.facing * minVy;
+
+        this._onBounce();
     }
 
     _onBounce() {
@@ -172,19 +251,23 @@ export class Ball {
         const currentSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy) || 1;
         this.vx = (this.vx / currentSpeed) * this.gameSpeed;
         this.vy = (this.vy / currentSpeed) * this.gameSpeed;
+        this.game.emit('paddleBounce', { ball: this });
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
+        const x = this.prevX + (this.x - this.prevX) * alpha;
+        const y = this.prevY + (this.y - this.prevY) * alpha;
+
         ctx.save();
         ctx.fillStyle = this.color;
         ctx.shadowBlur = 10;
         ctx.shadowColor = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
         ctx.fill();
         ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
         ctx.beginPath();
-        ctx.arc(this.x - 2, this.y - 2, this.radius / 3, 0, Math.PI * 2);
+        ctx.arc(x - 2, y - 2, this.radius / 3, 0, Math.PI * 2);
         ctx.fill();
         ctx.restore();
     }
@@ -0,0 +1,98 @@
+// Swept circle-vs-rectangle tests for the ball. A step's motion is one
+// straight segment; a contact is the fraction t of that segment at which the
+// circle first touches the rectangle, plus the surface normal there. The
+// rectangle is grown by the radius with rounded corners, so a ball clipping a
+// corner reflects off the corner itself instead of a guessed face.
+
+// rect: { left, right, top, bottom }. Returns { t, nx, ny, depth } or null.
+// A circle that already overlaps only counts while it is still moving in;
+// depth is how far it has to be pushed out along the normal.
+export function sweepCircleRect(x, y, dx, dy, radius, rect) {
+    const overlap = circleRectOverlap(x, y, radius, rect);
+    if (overlap) return (dx * overlap.nx + dy * overlap.ny < 0) ? overlap : null;
+    if (dx === 0 && dy === 0) return null;
+
+    // Slab test against the grown rectangle
+    const [txIn, txOut] = slab(x, dx, rect.left - radius, rect.right + radius);
+    const [tyIn, tyOut] = slab(y, dy, rect.top - radius, rect.bottom + radius);
+    const tIn = Math.max(txIn, tyIn, 0);
+    const tOut = Math.min(txOut, tyOut);
+    if (tIn > tOut || tIn > 1) return null;
+
+    // Entering along a face: the normal is that face's
+    const px = x + dx * tIn;
+    const py = y + dy * tIn;
+    let contact;
+    if (py >= rect.top && py <= rect.bottom) {
+        contact = { t: tIn, nx: px < rect.left ? -1 : 1, ny: 0, depth: 0 };
+    } else if (px >= rect.left && px <= rect.right) {
+        contact = { t: tIn, nx: 0, ny: py < rect.top ? -1 : 1, depth: 0 };
+    } else {
+        // Otherwise it is in a corner region and can only touch that corner
+        const cx = px < rect.left ? rect.left : rect.right;
+        const cy = py < rect.top ? rect.top : rect.bottom;
+        const t = sweepCirclePoint(x - cx, y - cy, dx, dy, radius);
+        if (t === null) return null;
+        contact = { t, nx: (x + dx * t - cx) / radius, ny: (y + dy * t - cy) / radius, depth: 0 };
+    }
+    // Grazing or leaving isn't a hit
+    return (dx * contact.nx + dy * contact.ny < 0) ? contact : null;
+}
+
+// Entry and exit times of a 1-D motion through [lo, hi]
+function slab(p, d, lo, hi) {
+    if (d === 0) return (p >= lo && p <= hi) ? [-Infinity, Infinity] : [Infinity, -Infinity];
+    const t1 = (lo - p) / d;
+    const t2 = (hi - p) / d;
+    return t1 < t2 ? [t1, t2] : [t2, t1];
+}
+
+// First time in [0, 1] that a circle at offset (mx, my) from a point, moving
+// by (dx, dy), touches it
+function sweepCirclePoint(mx, my, dx, dy, radius) {
+    const a = dx * dx + dy * dy;
+    const b = 2 * (mx * dx + my * dy);
+    const c = mx * mx + my * my - radius * radius;
+    const disc = b * b - 4 * a * c;
+    if (a === 0 || disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / (2 * a);
+    return (t >= 0 && t <= 1) ? t : null;
+}
+
+function circleRectOverlap(x, y, radius, rect) {
+    const qx = Math.max(rect.left, Math.min(rect.right, x));
+    const qy = Math.max(rect.top, Math.min(rect.bottom, y));
+    const ox = x - qx;
+    const oy = y - qy;
+    const distSq = ox * ox + oy * oy;
+    if (distSq >= radius * radius) return null;
+    if (distSq > 0) {
+        const dist = Math.sqrt(distSq);
+        return { t: 0, nx: ox / dist, ny: oy / dist, depth: radius - dist };
+    }
+    // Centre inside the rectangle: leave through the nearest face
+    const faces = [
+        { nx: -1, ny: 0, depth: x - rect.left },
+        { nx: 1, ny: 0, depth: rect.right - x },
+        { nx: 0, ny: -1, depth: y - rect.top },
+        { nx: 0, ny: 1, depth: rect.bottom - y }
+    ];
+    const face = faces.reduce((best, f) => (f.depth < best.depth ? f : best));
+    return { t: 0, nx: face.nx, ny: face.ny, depth: face.depth + radius };
+}
+
+// First time in [0, 1] at which two circles moving by (adx, ady) and
+// (bdx, bdy) come within `distance` of each other; circles already that close
+// count at 0 while they are still closing in
+export function sweepCircles(ax, ay, adx, ady, bx, by, bdx, bdy, distance) {
+    const mx = ax - bx, my = ay - by;
+    const dx = adx - bdx, dy = ady - bdy;
+    if (mx * mx + my * my <= distance * distance) return (mx * dx + my * dy < 0) ? 0 : null;
+    return sweepCirclePoint(mx, my, dx, dy, distance);
+}
+
+// Mirrors a velocity in the surface with normal (nx, ny)
+export function reflect(vx, vy, nx, ny) {
+    const dot = vx * nx + vy * ny;
+    return { vx: vx - 2 * dot * nx, vy: vy - 2 * dot * ny };
+}
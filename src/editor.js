@@ -0,0 +1,332 @@
+import { Game } from './game.js';
+import { POWER_UPS } from './powerups.js';
+import { BUILTIN_LAYOUTS, LAYOUT_FORMAT, LAYOUT_VERSION, MAX_COLUMNS, MAX_ROW_OFFSET, parseLayout, validateLayout } from './layouts.js';
+import { loadCustomLayouts, saveCustomLayouts } from './layout-picker.js';
+
+const DEFAULT_COLUMNS = 12;
+// Rows of margin around the editable band; keeps the midline on an even row
+// so the preview is never mirrored (see Wall.placeLayout)
+const MARGIN_ROWS = 6;
+
+// What a click puts in a cell; null erases
+const TOOLS = [
+    { id: 'plain', label: 'Brick', brick: {} },
+    { id: 'armor2', label: 'Armored (2 hits)', brick: { hp: 2 } },
+    { id: 'armor3', label: 'Armored (3 hits)', brick: { hp: 3 } },
+    { id: 'steel', label: 'Steel', brick: { steel: true } },
+    ...Object.entries(POWER_UPS).map(([type, { label }]) => ({ id: `type:${type}`, label, brick: { type } })),
+    { id: 'erase', label: 'Eraser', brick: null }
+];
+
+const straightRow = (columns) => {
+    const bricks = [];
+    for (let col = 0; col < columns; col++) bricks.push({ row: 0, col });
+    bricks[Math.floor(columns / 2)].type = 'demo';
+    return { format: LAYOUT_FORMAT, version: LAYOUT_VERSION, name: 'New wall', columns, bricks };
+};
+
+// Full-screen wall editor behind the overlay's Wall Editor button. Bricks are
+// painted on the layout's design grid; a headless Wall built from the layout
+// after every change supplies the drawing and the live connectivity check,
+// with cut-off bricks outlined in red.
+export class WallEditor {
+    constructor(view, picker) {
+        this.view = view;
+        this.picker = picker;
+        this.layout = straightRow(DEFAULT_COLUMNS);
+        this.preview = null;
+        this.connected = false;
+        this.painting = false;
+        this.lastCell = null;
+
+        this.openBtn = document.getElementById('editor-btn');
+        this.el = document.getElementById('editor');
+        this.canvas = document.getElementById('editor-canvas');
+        this.openSelect = document.getElementById('editor-open');
+        this.nameInput = document.getElementById('editor-name');
+        this.columnsInput = document.getElementById('editor-columns');
+        this.toolSelect = document.getElementById('editor-tool');
+        this.status = document.getElementById('editor-status');
+        this.saveBtn = document.getElementById('editor-save-btn');
+        this.deleteBtn = document.getElementById('editor-delete-btn');
+        this.exportBtn = document.getElementById('editor-export-btn');
+        this.importBtn = document.getElementById('editor-import-btn');
+        this.fileInput = document.getElementById('editor-file');
+        this.closeBtn = document.getElementById('editor-close-btn');
+
+        this.openBtn.addEventListener('pointerdown', (e) => e.stopPropagation());
+        this.openBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.open();
+        });
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.saveBtn.addEventListener('click', () => this.save());
+        this.deleteBtn.addEventListener('click', () => this.deleteSaved());
+        this.exportBtn.addEventListener('click', () => this.download());
+        this.importBtn.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.importFile());
+        this.openSelect.addEventListener('change', () => this.openFromList(this.openSelect.value));
+        this.nameInput.addEventListener('change', () => {
+            this.layout.name = this.nameInput.value.trim() || 'Custom wall';
+            this.render();
+        });
+        this.columnsInput.addEventListener('change', () => this.setColumns(Number(this.columnsInput.value)));
+
+        for (const tool of TOOLS) {
+            const opt = document.createElement('option');
+            opt.value = tool.id;
+            opt.textContent = tool.label;
+            this.toolSelect.appendChild(opt);
+        }
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.painting = true;
+            this.lastCell = null;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.paintAt(e);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.painting) this.paintAt(e);
+        });
+        const stop = () => {
+            this.painting = false;
+        };
+        this.canvas.addEventListener('pointerup', stop);
+        this.canvas.addEventListener('pointercancel', stop);
+        window.addEventListener('resize', () => {
+            if (this.isOpen) this.draw();
+        });
+    }
+
+    get isOpen() {
+        return !this.el.classList.contains('hidden');
+    }
+
+    get tool() {
+        return TOOLS.find(t => t.id === this.toolSelect.value) || TOOLS[0];
+    }
+
+    open() {
+        this.view.inputLocked = true;
+        this.view.overlay.classList.add('hidden');
+        this.el.classList.remove('hidden');
+        this.rebuild();
+        this.render();
+    }
+
+    close() {
+        this.el.classList.add('hidden');
+        this.view.overlay.classList.remove('hidden');
+        this.view.inputLocked = false;
+        this.view.draw();
+    }
+
+    // "new", "builtin:<id>" or "custom:<name>"; always edits a copy
+    openFromList(value) {
+        if (value === 'new') {
+            this.load(straightRow(DEFAULT_COLUMNS));
+        } else if (value.startsWith('builtin:')) {
+            this.load(BUILTIN_LAYOUTS[value.slice('builtin:'.length)].layout);
+        } else if (value.startsWith('custom:')) {
+            const layout = loadCustomLayouts()[value.slice('custom:'.length)];
+            if (layout) this.load(layout);
+        }
+    }
+
+    load(layout) {
+        this.layout = JSON.parse(JSON.stringify(layout));
+        this.rebuild();
+        this.render();
+    }
+
+    setColumns(columns) {
+        if (!Number.isInteger(columns)) columns = this.layout.columns;
+        this.layout.columns = Math.max(1, Math.min(MAX_COLUMNS, columns));
+        this.layout.bricks = this.layout.bricks.filter(b => b.col < this.layout.columns);
+        this.rebuild();
+        this.render();
+    }
+
+    // Lays the current layout out on a headless wall sized so that design
+    // columns map 1:1 and every editable row fits
+    rebuild() {
+        const { rules } = this.view.game;
+        const width = this.layout.columns * rules.maxBrickWidth;
+        const height = 2 * (MAX_ROW_OFFSET + MARGIN_ROWS) * rules.brickHeight;
+        if (!this.preview || this.preview.width !== width || this.preview.height !== height) {
+            this.preview = new Game({ width, height, rules });
+        }
+        const wall = this.preview.wall;
+        wall.clearBricks();
+        wall.placeLayout(this.layout, this.layout.columns);
+        this.connected = wall.analyzeTopology();
+    }
+
+    // Canvas point -> preview coordinates, using the transform of the last draw
+    toPreview(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [(e.clientX - rect.left - this.offsetX) / this.scale, (e.clientY - rect.top - this.offsetY) / this.scale];
+    }
+
+    paintAt(e) {
+        const wall = this.preview.wall;
+        const [x, y] = this.toPreview(e);
+        const [row, col] = wall.cellAt(x, y);
+        const designRow = row - wall.baselineMiddleRow;
+        if (Math.abs(designRow) > MAX_ROW_OFFSET || col < 0 || col >= this.layout.columns) return;
+        // A drag paints each cell once
+        const key = `${col},${designRow}`;
+        if (this.lastCell === key) return;
+        this.lastCell = key;
+
+        const bricks = this.layout.bricks.filter(b => b.row !== designRow || b.col !== col);
+        const { brick } = this.tool;
+        if (brick) bricks.push({ row: designRow, col, ...brick });
+        this.layout.bricks = bricks;
+        this.rebuild();
+        this.render();
+    }
+
+    render() {
+        this.nameInput.value = this.layout.name;
+        this.columnsInput.value = String(this.layout.columns);
+
+        const custom = loadCustomLayouts();
+        this.openSelect.innerHTML = '';
+        const addOption = (value, text) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            this.openSelect.appendChild(opt);
+        };
+        addOption('', 'Open…');
+        addOption('new', 'New wall');
+        for (const [id, { label, layout }] of Object.entries(BUILTIN_LAYOUTS)) {
+            if (layout) addOption(`builtin:${id}`, label);
+        }
+        for (const name of Object.keys(custom)) addOption(`custom:${name}`, `Saved: ${name}`);
+        this.openSelect.value = '';
+        this.deleteBtn.disabled = !custom[this.layout.name];
+
+        // Edge buffer columns only repeat the outer columns, so leave them out of the count
+        const orphans = Array.from(this.preview.wall.activeBrickMap.values())
+            .filter(b => b.isOrphan && b.columnCoordinate >= 0 && b.columnCoordinate < this.layout.columns).length;
+        if (this.layout.bricks.length === 0) this.status.textContent = 'Empty wall';
+        else if (this.connected) this.status.textContent = 'Connected end to end';
+        else if (orphans > 0) this.status.textContent = `Not connected: ${orphans} brick${orphans === 1 ? '' : 's'} cut off`;
+        else this.status.textContent = 'Not connected: the wall must reach both edges';
+        this.status.classList.toggle('bad', !this.connected);
+
+        this.draw();
+    }
+
+    draw() {
+        const cssW = this.canvas.clientWidth;
+        const cssH = this.canvas.clientHeight;
+        const dpr = window.devicePixelRatio;
+        this.canvas.width = cssW * dpr;
+        this.canvas.height = cssH * dpr;
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.fillStyle = '#0d0d12';
+        ctx.fillRect(0, 0, cssW, cssH);
+
+        // Fit the editable band (plus half a row each side) to the canvas
+        const wall = this.preview.wall;
+        const bh = wall.brickHeight;
+        const bw = wall.brickWidth;
+        const top = (wall.baselineMiddleRow - MAX_ROW_OFFSET - 1) * bh;
+        const bandH = (2 * MAX_ROW_OFFSET + 2) * bh;
+        this.scale = Math.min(cssW / this.preview.width, cssH / bandH);
+        this.offsetX = (cssW - this.preview.width * this.scale) / 2;
+        this.offsetY = (cssH - bandH * this.scale) / 2 - top * this.scale;
+
+        ctx.save();
+        ctx.translate(this.offsetX, this.offsetY);
+        ctx.scale(this.scale, this.scale);
+
+        // Empty cells of the staggered grid
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+        ctx.lineWidth = 1;
+        for (let r = -MAX_ROW_OFFSET; r <= MAX_ROW_OFFSET; r++) {
+            const row = wall.baselineMiddleRow + r;
+            const shift = (Math.abs(row) % 2 === 1) ? bw / 2 : 0;
+            for (let c = 0; c < this.layout.columns; c++) {
+                const x = c * bw + shift;
+                if (x + bw > this.preview.width + 1) continue;
+                ctx.strokeRect(x + 1, row * bh - bh / 2 + 1, bw - 2, bh - 2);
+            }
+        }
+
+        // Midline
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.setLineDash([10, 10]);
+        ctx.beginPath();
+        ctx.moveTo(0, wall.baselineMiddleRow * bh); ctx.lineTo(this.preview.width, wall.baselineMiddleRow * bh);
+        ctx.stroke(); ctx.setLineDash([]);
+
+        wall.draw(ctx);
+
+        // Bricks the left-to-right connection can't reach
+        ctx.strokeStyle = '#ff3e3e';
+        ctx.lineWidth = 2;
+        for (const b of wall.activeBrickMap.values()) {
+            if (!b.isOrphan) continue;
+            ctx.strokeRect(b.canvasXPosition - b.width / 2 + 1, b.canvasYPosition - b.height / 2 + 1, b.width - 2, b.height - 2);
+        }
+        ctx.restore();
+    }
+
+    save() {
+        let layout;
+        try {
+            layout = validateLayout(this.layout);
+        } catch (e) {
+            window.alert(e.message);
+            return;
+        }
+        if (!this.connected && !window.confirm('This wall is not connected end to end. Gaps will be filled with plain bricks when a match starts. Save anyway?')) {
+            return;
+        }
+        const custom = loadCustomLayouts();
+        custom[layout.name] = layout;
+        if (!saveCustomLayouts(custom)) {
+            window.alert('Could not save: browser storage is unavailable');
+            return;
+        }
+        this.layout = JSON.parse(JSON.stringify(layout));
+        // The wall just saved is the one the next match starts with
+        this.picker.refresh(`custom:${layout.name}`);
+        this.render();
+    }
+
+    deleteSaved() {
+        const custom = loadCustomLayouts();
+        if (!custom[this.layout.name] || !window.confirm(`Delete the saved wall "${this.layout.name}"?`)) return;
+        delete custom[this.layout.name];
+        saveCustomLayouts(custom);
+        this.picker.refresh();
+        this.render();
+    }
+
+    download() {
+        const blob = new Blob([JSON.stringify(this.layout, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.layout.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'wall'}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importFile() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (!file) return;
+        try {
+            this.load(parseLayout(await file.text()));
+        } catch (e) {
+            window.alert(e.message);
+        }
+    }
+}
@@ -0,0 +1,171 @@
+import { Random, randomSeed } from './random.js';
+import { POWER_UPS } from './powerups.js';
+
+const STORAGE_KEY = 'bricks4two.effects';
+
+// Per quality level; reduced keeps only what explains the wall changes
+const LIMITS = {
+    full: { particles: 400, perBrick: 10, pulses: 20, trails: true },
+    reduced: { particles: 60, perBrick: 3, pulses: 6, trails: false }
+};
+
+const SIDE_COLORS = { top: '#ff6b6b', bottom: '#6ba5ff' };
+
+const PARTICLE_MS = 600;
+const GROW_MS = 250;
+const PULSE_MS = 500;
+const TRAIL_LENGTH = 8;
+const TRAIL_SPEED = 0.7; // fraction of maxGameSpeed before a trail shows
+
+// Purely visual layer fed by game events. It keeps its own RNG and wall-clock
+// timing, so nothing here can change the outcome of a match or a replay.
+export class Effects {
+    constructor(game) {
+        this.game = game;
+        this.rng = new Random(randomSeed());
+        this.particles = [];
+        this.pulses = [];
+        this.growing = new Map(); // brick -> start time
+        this.trails = new Map(); // ball -> recent positions
+        this.reduced = this.loadReduced();
+
+        game.on('brickDestroyed', ({ side, brick }) => this.shatter(brick, SIDE_COLORS[side]));
+        // Armor chips off; steel just sparks
+        game.on('brickHit', ({ brick }) => this.shatter(brick, brick.steel ? '#ffe9a8' : '#aab4c8', 3));
+        game.on('brickRepaired', ({ brick }) => this.growing.set(brick, performance.now()));
+        game.on('powerUp', ({ type, brick }) => {
+            if (brick) this.pulse(brick, POWER_UPS[type] ? POWER_UPS[type].color : '#ffffff');
+        });
+        game.on('start', () => this.clear());
+        game.on('restore', () => this.clear());
+    }
+
+    get limits() {
+        return this.reduced ? LIMITS.reduced : LIMITS.full;
+    }
+
+    loadReduced() {
+        try {
+            const saved = window.localStorage.getItem(STORAGE_KEY);
+            if (saved !== null) return saved === 'reduced';
+        } catch (e) {
+            // Fall back to the system preference
+        }
+        return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    setReduced(reduced) {
+        this.reduced = reduced;
+        if (reduced) this.trails.clear();
+        try {
+            window.localStorage.setItem(STORAGE_KEY, reduced ? 'reduced' : 'full');
+        } catch (e) {
+            // Applies for this session only
+        }
+    }
+
+    clear() {
+        this.particles = [];
+        this.pulses = [];
+        this.growing.clear();
+        this.trails.clear();
+    }
+
+    shatter(brick, color, count = Infinity) {
+        const { particles: max, perBrick } = this.limits;
+        const now = performance.now();
+        for (let i = 0; i < Math.min(perBrick, count); i++) {
+            if (this.particles.length >= max) this.particles.shift();
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = 0.05 + this.rng.next() * 0.15; // px per ms
+            this.particles.push({
+                x: brick.canvasXPosition + (this.rng.next() - 0.5) * brick.width,
+                y: brick.canvasYPosition + (this.rng.next() - 0.5) * brick.height,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 2 + this.rng.next() * 3,
+                color,
+                born: now
+            });
+        }
+    }
+
+    pulse(brick, color) {
+        if (this.pulses.length >= this.limits.pulses) this.pulses.shift();
+        this.pulses.push({ x: brick.canvasXPosition, y: brick.canvasYPosition, size: brick.width / 2, color, born: performance.now() });
+    }
+
+    // Scale (0..1) for bricks the repair loop just added; Wall.draw grows them in
+    brickScale(brick) {
+        const start = this.growing.get(brick);
+        if (start === undefined) return 1;
+        const t = (performance.now() - start) / GROW_MS;
+        if (t >= 1) {
+            this.growing.delete(brick);
+            return 1;
+        }
+        // Ease out with a slight overshoot so the new brick "pops" into place
+        return Math.max(0.05, 1 + 1.6 * Math.pow(t - 1, 3) + 0.6 * Math.pow(t - 1, 2));
+    }
+
+    // Under the balls: trails
+    drawTrails(ctx, balls) {
+        if (!this.limits.trails) return;
+        const seen = new Set();
+        for (const ball of balls) {
+            seen.add(ball);
+            let trail = this.trails.get(ball);
+            const fast = ball.active && ball.maxGameSpeed && ball.gameSpeed >= ball.maxGameSpeed * TRAIL_SPEED;
+            if (!fast) {
+                this.trails.delete(ball);
+                continue;
+            }
+            if (!trail) {
+                trail = [];
+                this.trails.set(ball, trail);
+            }
+            trail.push({ x: ball.x, y: ball.y });
+            if (trail.length > TRAIL_LENGTH) trail.shift();
+
+            ctx.save();
+            ctx.fillStyle = ball.color;
+            trail.forEach((p, i) => {
+                const f = (i + 1) / trail.length;
+                ctx.globalAlpha = 0.35 * f;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, ball.radius * (0.4 + 0.5 * f), 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+        }
+        // Forget balls that left the game
+        for (const ball of this.trails.keys()) {
+            if (!seen.has(ball)) this.trails.delete(ball);
+        }
+    }
+
+    // Over everything: shatter particles and special-brick pulses
+    draw(ctx) {
+        const now = performance.now();
+        this.particles = this.particles.filter(p => now - p.born < PARTICLE_MS);
+        this.pulses = this.pulses.filter(p => now - p.born < PULSE_MS);
+
+        ctx.save();
+        for (const p of this.particles) {
+            const age = now - p.born;
+            ctx.globalAlpha = 1 - age / PARTICLE_MS;
+            ctx.fillStyle = p.color;
+            ctx.fillRect(p.x + p.vx * age - p.size / 2, p.y + p.vy * age - p.size / 2, p.size, p.size);
+        }
+        ctx.lineWidth = 3;
+        for (const p of this.pulses) {
+            const t = (now - p.born) / PULSE_MS;
+            ctx.globalAlpha = 1 - t;
+            ctx.strokeStyle = p.color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.size * (0.6 + 1.4 * t), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
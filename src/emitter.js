@@ -0,0 +1,24 @@
+// Minimal event emitter so the simulation can announce what happened
+// without knowing who (renderer, overlay, tools) is listening.
+export class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(type, fn) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const set = this.listeners.get(type);
+        if (set) set.delete(fn);
+    }
+
+    emit(type, data) {
+        const set = this.listeners.get(type);
+        if (!set) return;
+        for (const fn of set) fn(data);
+    }
+}
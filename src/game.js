@@ -1,26 +1,55 @@
 import { Paddle } from './paddle.js';
 import { Ball } from './ball.js';
 import { Wall } from './wall.js';
-
-export class Game {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d', { alpha: false }); // Performance optimization
-        this.width = 0;
-        this.height = 0;
+import { Emitter } from './emitter.js';
+import { Random, randomSeed } from './random.js';
+import { AiController } from './ai.js';
+import { resolveRules } from './rules.js';
+import { POWER_UPS } from './powerups.js';
+import { collideBalls } from './ball-collisions.js';
+
+// Length of one simulation step. Velocities, AI tracking and all timers are
+// expressed per step, so the game plays the same on every refresh rate.
+export const TICK_MS = 1000 / 60;
+
+export class Game extends Emitter {
+    // The simulation core: no DOM, no canvas. Everything is measured against a
+    // plain width/height so matches can also run headless under Node.
+    constructor({ width = 800, height = 600, seed = null, aiDifficulty = 'normal', cpuSide = null, rules = null, layout = null } = {}) {
+        super();
+        this.width = width;
+        this.height = height;
         this.running = false;
+        // A paused match keeps running but its clock stands still
+        this.paused = false;
+        // Tuning shared by every entity (see rules.js); read before they are built
+        this.rules = resolveRules(rules);
+        // Starting wall (see layouts.js); null is the straight row
+        this.layout = layout;
+
+        // Each match gets its own seed; a seed passed in is used for the first match
+        this.pendingSeed = seed;
+        this.seed = (seed !== null) ? seed : randomSeed();
+        this.rng = new Random(this.seed);
+
+        // Simulation clock: advances by TICK_MS per update, never by wall time
+        this.tick = 0;
+        this.clock = 0;
 
         this.matchesWonTop = 0;
         this.matchesWonBottom = 0;
+        // Best-of-N series; null keeps an open-ended tally
+        this.seriesLength = null;
+        this.seriesWinner = null;
 
-        this.paddleTop = new Paddle(canvas, 'top', '#ff3e3e');
-        this.paddleBottom = new Paddle(canvas, 'bottom', '#3e8dff');
+        this.paddleTop = new Paddle(this, 'top', '#ff3e3e');
+        this.paddleBottom = new Paddle(this, 'bottom', '#3e8dff');
 
         // Support multiple balls per side
-        this.ballsTop = [new Ball(canvas, 'top', '#ff6b6b')];
-        this.ballsBottom = [new Ball(canvas, 'bottom', '#6ba5ff')];
+        this.ballsTop = [new Ball(this, 'top', '#ff6b6b')];
+        this.ballsBottom = [new Ball(this, 'bottom', '#6ba5ff')];
 
-        this.wall = new Wall(canvas);
+        this.wall = new Wall(this);
 
         // Helper: small chance special bricks will appear occasionally
         this._lastSpawnedExtraAt = 0;
@@ -28,234 +57,248 @@ export class Game {
         // AI state
         this.isAiTop = false;
         this.isAiBottom = false;
-        this.aiThreshold = 10000; // 10 seconds in ms
+        this.aiThreshold = this.rules.aiThreshold;
         this.lastActionTop = 0;
         this.lastActionBottom = 0;
-        this.winData = null;
-        this.aimingState = null; // { side, targetX, targetY, ball, paddle }
-
-        // Initial launch on first tap on overlay
-        this.onFirstTap = () => {
-            if (!this.running) {
-                this.start();
-                this.overlay.removeEventListener('pointerdown', this.onFirstTap);
-            }
+        this.aiDifficulty = aiDifficulty;
+        // Single-player: this side is the computer for the whole match (null = two players)
+        this.cpuSide = cpuSide;
+        this.ai = {
+            top: new AiController(this, 'top', aiDifficulty),
+            bottom: new AiController(this, 'bottom', aiDifficulty)
         };
-
-        this.resize();
-        this.initUI();
-        this.initInput();
+        this.winData = null;
+        // Independent aim per side so both players can aim and release at once
+        this.aiming = { top: null, bottom: null }; // side -> { side, x, y, ball, paddle }
     }
 
     get isDemoMode() {
         return this.isAiTop && this.isAiBottom;
     }
 
-    initInput() {
-        const handlePointer = (e) => {
-            if (!this.running) return;
+    // Rotating a phone mid-match must not cost the match: the wall is remapped
+    // to the new size and everything else keeps its relative position
+    resize(width, height) {
+        const oldWidth = this.width;
+        const oldHeight = this.height;
+        if (width === oldWidth && height === oldHeight) return;
+        this.width = width;
+        this.height = height;
+
+        const scaleX = oldWidth ? width / oldWidth : 1;
+        const mapY = this.wall.remap(oldWidth, oldHeight);
+
+        this.paddleTop.fitToSize(scaleX);
+        this.paddleBottom.fitToSize(scaleX);
+
+        for (const b of [...this.ballsTop, ...this.ballsBottom]) {
+            b.x = Math.max(b.radius, Math.min(width - b.radius, b.x * scaleX));
+            b.y = mapY(b.y);
+            b.prevX = b.x;
+            b.prevY = b.y;
+        }
+        for (const aim of Object.values(this.aiming)) {
+            if (!aim) continue;
+            aim.x *= scaleX;
+            aim.y = mapY(aim.y);
+        }
+    }
 
-            const rect = this.canvas.getBoundingClientRect();
-            const x = (e.clientX - rect.left);
-            const y = (e.clientY - rect.top);
+    // Every player action enters the simulation through here, stamped with the
+    // current tick, so a Recorder can capture it and a ReplayPlayer re-apply it
+    // at exactly the same point between two updates.
+    input(command) {
+        // While paused only resizing and resuming get through
+        if (this.paused && command.type !== 'resume' && command.type !== 'resize') return;
+        this.emit('input', { tick: this.tick, ...command });
+
+        switch (command.type) {
+            case 'move': this.movePaddle(command.side, command.x); break;
+            case 'aimStart': this.beginAim(command.side, command.x, command.y); break;
+            case 'aim': this.moveAim(command.side, command.x, command.y); break;
+            case 'launch': this.releaseAim(command.side); break;
+            case 'demo': this.enableDemo(); break;
+            case 'resize': this.resize(command.width, command.height); break;
+            case 'pause': this.pause(); break;
+            case 'resume': this.resume(); break;
+        }
+    }
 
-            // Skip movement if this side is currently aiming
-            if (this.aimingState) {
-                const side = y >= this.height / 2 ? 'bottom' : 'top';
-                if (this.aimingState.side === side) return;
-            }
+    // Pause and resume go through input() so replays stop and restart at the same tick
+    pause() {
+        if (!this.running || this.paused) return;
+        this.paused = true;
+        // An aim in progress can't be finished while paused, so drop it
+        this.aiming = { top: null, bottom: null };
+        this.emit('pause');
+    }
 
-            // Upper half controls the top player; lower half controls the bottom player
-            if (y >= this.height / 2) {
-                this.paddleBottom.moveTo(x);
-                this.isAiBottom = false; // Manually moving disables AI
-                this.lastActionBottom = performance.now();
-            } else {
-                this.paddleTop.moveTo(x);
-                this.isAiTop = false; // Manually moving disables AI
-                this.lastActionTop = performance.now();
-            }
-        };
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.emit('resume');
+    }
 
-        this.canvas.addEventListener('pointermove', handlePointer);
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
-
-        // Prevent default touch gestures that may trigger browser navigation (edge swipes, back/forward)
-        this.canvas.addEventListener('touchstart', (e) => { e.preventDefault(); }, { passive: false });
-        this.canvas.addEventListener('touchmove', (e) => { e.preventDefault(); }, { passive: false });
-        this.canvas.addEventListener('touchend', (e) => { e.preventDefault(); }, { passive: false });
-
-        this.canvas.addEventListener('pointerdown', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-
-            // CHECK FOR DEMO BRICK CLICK
-            const demoBrick = this.wall.getDemoBrick();
-            if (demoBrick) {
-                const bx = demoBrick.canvasXPosition;
-                const by = demoBrick.canvasYPosition;
-                const bw = demoBrick.width / 2;
-                const bh = demoBrick.height / 2;
-                if (Math.abs(x - bx) < bw && Math.abs(y - by) < bh) {
-                    this.isAiTop = true;
-                    this.isAiBottom = true;
-                    return;
-                }
-            }
+    sideAt(y) {
+        // Upper half belongs to the top player; lower half to the bottom player
+        return y >= this.height / 2 ? 'bottom' : 'top';
+    }
 
-            // START AIMING
-            const side = y >= this.height / 2 ? 'bottom' : 'top';
-            const ballArr = (side === 'top' ? this.ballsTop : this.ballsBottom);
-            const paddle = (side === 'top' ? this.paddleTop : this.paddleBottom);
-            const isAi = (side === 'top' ? this.isAiTop : this.isAiBottom);
-
-            const ball = ballArr[0];
-            if (ball && !ball.active && !isAi) {
-                // Lock paddle to current position and start aiming
-                paddle.moveTo(x);
-                this.aimingState = { side, x, y, ball, paddle };
-            }
-        });
+    movePaddle(side, x) {
+        if (!this.running) return;
 
-        this.canvas.addEventListener('pointermove', (e) => {
-            if (!this.aimingState) return;
-            const rect = this.canvas.getBoundingClientRect();
-            this.aimingState.x = e.clientX - rect.left;
-            this.aimingState.y = e.clientY - rect.top;
-        });
+        // Skip movement if this side is currently aiming or belongs to the computer
+        if (this.aiming[side] || side === this.cpuSide) return;
 
-        this.canvas.addEventListener('pointerup', (e) => {
-            if (!this.aimingState) return;
+        if (side === 'bottom') {
+            this.paddleBottom.moveTo(x);
+            this.isAiBottom = false; // Manually moving disables AI
+            this.lastActionBottom = this.clock;
+        } else {
+            this.paddleTop.moveTo(x);
+            this.isAiTop = false; // Manually moving disables AI
+            this.lastActionTop = this.clock;
+        }
+    }
 
-            const { ball, paddle, x, y, side } = this.aimingState;
-            ball.launch(paddle, x, y);
+    setAiDifficulty(name) {
+        this.aiDifficulty = name;
+        this.ai.top.setTier(name);
+        this.ai.bottom.setTier(name);
+    }
 
-            if (side === 'top') {
-                this.isAiTop = false;
-                this.lastActionTop = performance.now();
-            } else {
-                this.isAiBottom = false;
-                this.lastActionBottom = performance.now();
-            }
+    // 1 player: pass the human's side. 2 players: pass null. Applies from the next start().
+    setSinglePlayer(humanSide) {
+        this.cpuSide = humanSide ? (humanSide === 'top' ? 'bottom' : 'top') : null;
+    }
 
-            this.aimingState = null;
-        });
+    // Starts a fresh series (or free play with null) from an empty tally
+    setSeriesLength(length) {
+        this.seriesLength = length || null;
+        this.resetSeries();
     }
 
-    resize() {
-        this.width = this.canvas.clientWidth;
-        this.height = this.canvas.clientHeight;
-        this.canvas.width = this.width * window.devicePixelRatio;
-        this.canvas.height = this.height * window.devicePixelRatio;
-        this.ctx = this.canvas.getContext('2d', { alpha: false });
-        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    resetSeries() {
+        this.matchesWonTop = 0;
+        this.matchesWonBottom = 0;
+        this.seriesWinner = null;
+    }
 
-        if (this.paddleTop) this.paddleTop.reset();
-        if (this.paddleBottom) this.paddleBottom.reset();
+    get winsNeeded() {
+        return this.seriesLength ? Math.floor(this.seriesLength / 2) + 1 : null;
+    }
 
-        // Recompute wall layout on canvas resize so bricks always fit exactly
-        if (this.wall) this.wall.initializeWall();
+    // Applies from the next start(), like the player mode
+    setRules(rules) {
+        this.rules = resolveRules(rules);
     }
 
-    initUI() {
-        this.updateScoreDisplay();
-        this.overlay = document.getElementById('overlay');
-        this.message = document.getElementById('message');
-        this.subMessage = document.querySelector('.sub-message');
-        this.restartBtn = document.getElementById('restart-btn');
-
-        // Initially hide restart button for the "Tap to Start" splash
-        this.restartBtn.style.display = 'none';
-
-        this.restartBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.start();
-        });
-
-        // Use multiple events for maximum compatibility
-        this.overlay.addEventListener('click', this.onFirstTap);
-        this.overlay.addEventListener('pointerdown', this.onFirstTap);
-        this.overlay.style.cursor = 'pointer';
+    setLayout(layout) {
+        this.layout = layout;
     }
 
-    updateScoreDisplay() {
-        const formatTally = (score) => {
-            if (score <= 0) return '';
-            const fives = Math.floor(score / 5);
-            const ones = score % 5;
-            let html = '';
-
-            // Full blocks of five
-            for (let i = 0; i < fives; i++) {
-                html += `
-                    <div class="tally-block">
-                        <div class="mark"></div>
-                        <div class="mark"></div>
-                        <div class="mark"></div>
-                        <div class="mark"></div>
-                        <div class="slash"></div>
-                    </div>`;
-            }
+    enableDemo() {
+        // The human in a single-player match can't be handed to the AI
+        if (this.cpuSide) return;
+        if (!this.isAiTop) this.emit('aiTakeover', { side: 'top', reason: 'demo' });
+        if (!this.isAiBottom) this.emit('aiTakeover', { side: 'bottom', reason: 'demo' });
+        this.isAiTop = true;
+        this.isAiBottom = true;
+    }
 
-            // Partial block for remaining ones
-            if (ones > 0) {
-                html += '<div class="tally-block">';
-                for (let i = 0; i < ones; i++) {
-                    html += '<div class="mark"></div>';
-                }
-                html += '</div>';
-            }
-            return html;
-        };
-        document.getElementById('score-top').innerHTML = formatTally(this.matchesWonTop);
-        document.getElementById('score-bottom').innerHTML = formatTally(this.matchesWonBottom);
+    beginAim(side, x, y) {
+        const ballArr = (side === 'top' ? this.ballsTop : this.ballsBottom);
+        const paddle = (side === 'top' ? this.paddleTop : this.paddleBottom);
+        const isAi = (side === 'top' ? this.isAiTop : this.isAiBottom);
+
+        const ball = ballArr[0];
+        if (ball && !ball.active && !isAi && !this.aiming[side]) {
+            // Lock paddle to current position and start aiming
+            paddle.moveTo(x);
+            this.aiming[side] = { side, x, y, ball, paddle };
+        }
+    }
+
+    moveAim(side, x, y) {
+        const aim = this.aiming[side];
+        if (!aim) return;
+        aim.x = x;
+        aim.y = y;
+    }
+
+    releaseAim(side) {
+        const aim = this.aiming[side];
+        if (!aim) return;
+
+        const { ball, paddle, x, y } = aim;
+        ball.launch(paddle, x, y);
+
+        if (side === 'top') {
+            this.isAiTop = false;
+            this.lastActionTop = this.clock;
+        } else {
+            this.isAiBottom = false;
+            this.lastActionBottom = this.clock;
+        }
+
+        this.aiming[side] = null;
     }
 
     start() {
+        // The first match after a decided series opens the next one
+        if (this.seriesWinner) this.resetSeries();
         this.running = true;
-        this.updateScoreDisplay();
+        this.paused = false;
 
-        this.overlay.classList.add('hidden');
-        if (this.subMessage) this.subMessage.style.display = 'none';
-        this.restartBtn.style.display = 'none';
+        this.seed = (this.pendingSeed !== null) ? this.pendingSeed : randomSeed();
+        this.pendingSeed = null;
+        this.rng = new Random(this.seed);
+        this.aiThreshold = this.rules.aiThreshold;
 
         this.paddleTop.reset();
         this.paddleBottom.reset();
+        this.tick = 0;
+        this.clock = 0;
 
         // Reset to one primary ball per side
-        this.ballsTop = [new Ball(this.canvas, 'top', '#ff6b6b')];
-        this.ballsBottom = [new Ball(this.canvas, 'bottom', '#6ba5ff')];
+        this.ballsTop = [new Ball(this, 'top', '#ff6b6b')];
+        this.ballsBottom = [new Ball(this, 'bottom', '#6ba5ff')];
         this.ballsTop.forEach(b => b.reset());
         this.ballsBottom.forEach(b => b.reset());
 
         this.wall.initializeWall();
-        this.lastActionTop = performance.now();
-        this.lastActionBottom = performance.now();
-        this.isAiTop = false;
-        this.isAiBottom = false;
+        this.lastActionTop = this.clock;
+        this.lastActionBottom = this.clock;
+        this.isAiTop = (this.cpuSide === 'top');
+        this.isAiBottom = (this.cpuSide === 'bottom');
         this.winData = null;
-        this.overlay.classList.remove('rotate-180');
+        this.aiming = { top: null, bottom: null };
+        this.ai.top.reset();
+        this.ai.bottom.reset();
+        this.emit('start');
     }
 
     spawnExtraBall(side) {
         const paddle = (side === 'top') ? this.paddleTop : this.paddleBottom;
         const color = (side === 'top') ? '#ff6b6b' : '#6ba5ff';
-        const b = new Ball(this.canvas, side, color);
+        const b = new Ball(this, side, color);
         b.isExtra = true;
         b.x = paddle.x;
         b.y = paddle.y + ((side === 'top') ? (paddle.height + b.radius + 4) : -(paddle.height + b.radius + 4));
+        b.prevX = b.x;
+        b.prevY = b.y;
 
         const minLaunch = 2;
         const primary = (side === 'top') ? this.ballsTop[0] : this.ballsBottom[0];
         const baseSpeed = (primary && primary.gameSpeed) || minLaunch;
         const initialSpeed = Math.max(minLaunch, Math.min(8, baseSpeed));
-        const vx = (Math.random() - 0.5) * 2;
+        const vx = (this.rng.next() - 0.5) * 2;
         const vy = (side === 'bottom') ? -Math.abs(initialSpeed) : Math.abs(initialSpeed);
         const len = Math.hypot(vx, vy) || 1;
         b.vx = (vx / len) * initialSpeed;
         b.vy = (vy / len) * initialSpeed;
         b.gameSpeed = initialSpeed;
+        b.launchSpeed = initialSpeed;
         b.active = true;
 
         if (side === 'top') this.ballsTop.push(b);
@@ -280,46 +323,42 @@ export class Game {
     }
 
     scorePoint(winner) {
+        this.emit('ballLost', { side: winner === 'top' ? 'bottom' : 'top' });
         // Point scoring on ball-loss is now disabled in favor of Match Wins tally.
         // We still trigger the timer update to allow for AI handoff.
         if (winner === 'top') {
-            this.lastActionBottom = performance.now();
+            this.lastActionBottom = this.clock;
         } else {
-            this.lastActionTop = performance.now();
+            this.lastActionTop = this.clock;
         }
     }
 
     onWallHit(ball) {
         const isAiPlayer = (ball.side === 'top' ? this.isAiTop : this.isAiBottom);
-        const lastType = this.wall.lastHitBrickType;
+        const type = this.wall.lastHitBrickType;
+        const powerUp = type && POWER_UPS[type];
+        if (!powerUp) return;
 
-        // Special: If DEMO brick hit, enable AI for everyone
-        if (lastType === 'demo') {
-            this.isAiTop = true;
-            this.isAiBottom = true;
-        }
+        // A stand-in AI doesn't collect power-ups, but a single-player opponent does
+        if (isAiPlayer && !this.isDemoMode && ball.side !== this.cpuSide && !powerUp.anyPlayer) return;
 
-        if (isAiPlayer && !this.isDemoMode) return;
-
-        if (lastType === 'extraBall') {
-            this.spawnExtraBall(ball.side);
-        } else if (lastType === 'removeBall') {
-            this.removeOneBall(ball.side);
-        } else if (lastType === 'enlargePaddle') {
-            const paddle = (ball.side === 'top') ? this.paddleTop : this.paddleBottom;
-            paddle.changeWidth(40, performance.now());
-        } else if (lastType === 'shrinkPaddle') {
-            const paddle = (ball.side === 'top') ? this.paddleTop : this.paddleBottom;
-            paddle.changeWidth(-40, performance.now());
-        }
+        this.emit('powerUp', { side: ball.side, type, brick: this.wall.lastHitBrick });
+        powerUp.effect(this, ball);
     }
 
-    update(now) {
-        if (!this.running) return;
+    // Advances the simulation by exactly one fixed step of TICK_MS
+    update() {
+        if (!this.running || this.paused) return;
+        this.tick++;
+        this.clock += TICK_MS;
+
+        // Remember where the paddles were so draw() can interpolate between steps
+        this.paddleTop.prevX = this.paddleTop.x;
+        this.paddleBottom.prevX = this.paddleBottom.x;
 
         // ANTI-STALL: Ensure at least one primary ball exists per side
-        if (this.ballsTop.length === 0) this.ballsTop = [new Ball(this.canvas, 'top', '#ff6b6b')];
-        if (this.ballsBottom.length === 0) this.ballsBottom = [new Ball(this.canvas, 'bottom', '#6ba5ff')];
+        if (this.ballsTop.length === 0) this.ballsTop = [new Ball(this, 'top', '#ff6b6b')];
+        if (this.ballsBottom.length === 0) this.ballsBottom = [new Ball(this, 'bottom', '#6ba5ff')];
 
         // Update all balls
         for (const b of this.ballsTop) b.update(this);
@@ -327,24 +366,33 @@ export class Game {
 
         this.ballsTop = this.ballsTop.filter(b => !(b.isExtra && !b.active));
         this.ballsBottom = this.ballsBottom.filter(b => !(b.isExtra && !b.active));
+        // Balls bounce off each other if the rules say so
+        collideBalls(this);
 
         // Resolve brick removals after all balls have updated their positions/bounces
         this.wall.resolvePendingImpacts();
 
         // Update AI timers
-        const currentTime = performance.now();
-        if (!this.isAiTop && (currentTime - this.lastActionTop > this.aiThreshold)) {
-            if (this.ballsTop[0] && !this.ballsTop[0].active) this.isAiTop = true;
+        // (no handoff in single-player: the human's side stays theirs)
+        const currentTime = this.clock;
+        if (!this.cpuSide && !this.isAiTop && (currentTime - this.lastActionTop > this.aiThreshold)) {
+            if (this.ballsTop[0] && !this.ballsTop[0].active) {
+                this.isAiTop = true;
+                this.emit('aiTakeover', { side: 'top', reason: 'idle' });
+            }
         }
-        if (!this.isAiBottom && (currentTime - this.lastActionBottom > this.aiThreshold)) {
-            if (this.ballsBottom[0] && !this.ballsBottom[0].active) this.isAiBottom = true;
+        if (!this.cpuSide && !this.isAiBottom && (currentTime - this.lastActionBottom > this.aiThreshold)) {
+            if (this.ballsBottom[0] && !this.ballsBottom[0].active) {
+                this.isAiBottom = true;
+                this.emit('aiTakeover', { side: 'bottom', reason: 'idle' });
+            }
         }
 
         if (this.isAiTop) this.updateAI('top');
         if (this.isAiBottom) this.updateAI('bottom');
 
-        this.paddleTop.update(now);
-        this.paddleBottom.update(now);
+        this.paddleTop.update(this.clock);
+        this.paddleBottom.update(this.clock);
 
         this.wall.update(this);
 
@@ -361,146 +409,16 @@ export class Game {
         if (winner === 'top') this.matchesWonTop++;
         else this.matchesWonBottom++;
 
-        const winnerName = winner === 'top' ? 'RED' : 'BLUE';
-        const winnerColor = winner === 'top' ? '#ff3e3e' : '#3e8dff';
-
-        this.message.textContent = `${winnerName} WINS!`;
-        this.message.style.color = winnerColor;
-        this.message.style.borderColor = winnerColor;
-        this.message.style.boxShadow = `0 0 20px ${winnerColor}44`;
-
-        this.overlay.classList.remove('hidden');
-        if (this.subMessage) this.subMessage.style.display = 'none';
-        if (winner === 'top') {
-            this.overlay.classList.add('rotate-180');
-        } else {
-            this.overlay.classList.remove('rotate-180');
-        }
-        this.restartBtn.style.display = 'block';
-        this.updateScoreDisplay();
-
         this.isAiTop = false;
         this.isAiBottom = false;
-    }
-
-    updateAI(side) {
-        const paddle = (side === 'top') ? this.paddleTop : this.paddleBottom;
-        const balls = (side === 'top') ? this.ballsTop : this.ballsBottom;
-        const opponentBalls = (side === 'top') ? this.ballsBottom : this.ballsTop;
-
-        const primaryBall = balls[0];
 
-        if (primaryBall && !primaryBall.active) {
-            const targetX = this.width / 2 + (Math.random() - 0.5) * 100;
-            const targetY = this.isDemoMode ? this.height / 2 : ((side === 'top') ? paddle.y + 10 : paddle.y - 10);
-            primaryBall.launch(paddle, targetX, targetY);
-            return;
-        }
-
-        const allBalls = [...balls, ...opponentBalls].filter(b => b.active);
-        const incomingBalls = allBalls.filter(b => {
-            if (side === 'top') return b.vy < 0;
-            return b.vy > 0;
-        });
-
-        if (incomingBalls.length > 0) {
-            incomingBalls.sort((a, b) => {
-                const distA = (side === 'top') ? a.y : this.height - a.y;
-                const distB = (side === 'top') ? b.y : this.height - b.y;
-                return distA - distB;
-            });
-
-            const targetBall = incomingBalls[0];
-            const trackingSpeed = this.isDemoMode ? 1.0 : 0.15;
-
-            let steerOffset = 0;
-            const horizontalRatio = Math.abs(targetBall.vx) / (Math.abs(targetBall.vy) || 0.1);
-            let finalTrackingSpeed = trackingSpeed;
-
-            // If ball is getting horizontal, hit it with the corners to steepen the angle
-            if (horizontalRatio > 2) {
-                // steerOffset = how much we push the paddle *away* from the ball's center
-                // to make the ball hit the counter-acting corner.
-                const intensity = Math.min(0.45, horizontalRatio * 0.1);
-                steerOffset = (targetBall.vx > 0) ? (paddle.width * intensity) : -(paddle.width * intensity);
-
-                // If it's very flat, prioritize this move with faster reaction
-                if (horizontalRatio > 4) finalTrackingSpeed = Math.max(0.4, trackingSpeed);
-            }
+        const wins = (winner === 'top') ? this.matchesWonTop : this.matchesWonBottom;
+        if (this.seriesLength && wins >= this.winsNeeded) this.seriesWinner = winner;
 
-            let targetX = paddle.x + ((targetBall.x + steerOffset) - paddle.x) * finalTrackingSpeed;
-            paddle.moveTo(targetX);
-        } else {
-            const idleX = primaryBall ? primaryBall.x : this.width / 2;
-            const targetX = paddle.x + (idleX - paddle.x) * 0.05;
-            paddle.moveTo(targetX);
-        }
+        this.emit('gameOver', { winner, reason, brick: winData.brick, seed: this.seed, seriesWinner: this.seriesWinner });
     }
 
-    draw() {
-        this.ctx.fillStyle = '#0d0d12';
-        this.ctx.fillRect(0, 0, this.width, this.height);
-
-        // Mid-line (Base)
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
-        this.ctx.setLineDash([10, 10]);
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, this.height / 2); this.ctx.lineTo(this.width, this.height / 2);
-        this.ctx.stroke(); this.ctx.setLineDash([]);
-
-        this.wall.draw(this.ctx);
-
-        // Highlight winning brick if game over
-        if (this.winData && this.winData.brick) {
-            const b = this.winData.brick;
-            this.ctx.save();
-            this.ctx.shadowBlur = 20;
-            this.ctx.shadowColor = '#ffffff';
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 3;
-            const rx = b.canvasXPosition - b.width / 2;
-            const ry = b.canvasYPosition - b.height / 2;
-            this.ctx.beginPath();
-            if (this.ctx.roundRect) this.ctx.roundRect(rx, ry, b.width, b.height, 4);
-            else this.ctx.rect(rx, ry, b.width, b.height);
-            this.ctx.stroke();
-            this.ctx.restore();
-        }
-
-        this.paddleTop.draw(this.ctx);
-        this.paddleBottom.draw(this.ctx);
-        for (const b of this.ballsTop) b.draw(this.ctx);
-        for (const b of this.ballsBottom) b.draw(this.ctx);
-
-        // Draw aiming arrow
-        if (this.aimingState) {
-            const { ball, x, y } = this.aimingState;
-            this.ctx.save();
-            this.ctx.beginPath();
-            this.ctx.moveTo(ball.x, ball.y);
-            this.ctx.lineTo(x, y);
-
-            this.ctx.strokeStyle = '#00ff88';
-            this.ctx.lineWidth = 2;
-            this.ctx.setLineDash([5, 5]);
-            this.ctx.shadowBlur = 10;
-            this.ctx.shadowColor = '#00ff88';
-            this.ctx.globalAlpha = 0.6;
-            this.ctx.stroke();
-
-            // Arrow head
-            const angle = Math.atan2(y - ball.y, x - ball.x);
-            this.ctx.translate(x, y);
-            this.ctx.rotate(angle);
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, 0);
-            this.ctx.lineTo(-10, -5);
-            this.ctx.lineTo(-10, 5);
-            this.ctx.closePath();
-            this.ctx.fillStyle = '#00ff88';
-            this.ctx.fill();
-
-            this.ctx.restore();
-        }
+    updateAI(side) {
+        this.ai[side].update();
     }
 }
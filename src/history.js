@@ -0,0 +1,148 @@
+const STORAGE_KEY = 'bricks4two.history';
+const MAX_ENTRIES = 1000; // oldest matches are dropped beyond this
+
+const emptySides = (value) => ({ top: value(), bottom: value() });
+
+// The shape finish() writes, as far as summarizeHistory relies on it. Stored
+// entries that don't match (damaged or edited by hand) are dropped on load.
+function isValidEntry(e) {
+    const isSide = (v) => v === 'top' || v === 'bottom';
+    const isCount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+    const isSides = (v, check) => !!v && typeof v === 'object' && check(v.top) && check(v.bottom);
+    const isCounts = (v) => !!v && typeof v === 'object' && Object.values(v).every(isCount);
+    return !!e && typeof e === 'object' &&
+        isSide(e.winner) &&
+        isCount(e.durationMs) &&
+        (e.cpuSide === null || e.cpuSide === undefined || isSide(e.cpuSide)) &&
+        isSides(e.bricksDestroyed, isCount) &&
+        isSides(e.powerUps, isCounts) &&
+        isSides(e.aiTookOver, (v) => typeof v === 'boolean');
+}
+
+// Keeps a record of every finished match in localStorage. Per-match counters
+// are gathered from the game's events while it runs and written out on gameOver.
+export class MatchHistory {
+    constructor(game) {
+        this.game = game;
+        this.entries = this.load();
+        this.current = null;
+
+        game.on('start', () => {
+            this.current = {
+                bricksDestroyed: emptySides(() => 0),
+                powerUps: emptySides(() => ({})),
+                aiTookOver: emptySides(() => false)
+            };
+        });
+        game.on('brickDestroyed', ({ side }) => {
+            if (this.current) this.current.bricksDestroyed[side]++;
+        });
+        game.on('powerUp', ({ side, type }) => {
+            if (!this.current) return;
+            const counts = this.current.powerUps[side];
+            counts[type] = (counts[type] || 0) + 1;
+        });
+        game.on('aiTakeover', ({ side }) => {
+            if (this.current) this.current.aiTookOver[side] = true;
+        });
+        game.on('gameOver', ({ winner, reason, seed }) => this.finish(winner, reason, seed));
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(data)) return data.filter(isValidEntry);
+        } catch (e) {
+            // Unreadable or blocked storage starts an empty history
+        }
+        return [];
+    }
+
+    save() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+            // Storage full or refused; the history still lasts for this session
+        }
+    }
+
+    finish(winner, reason, seed) {
+        if (!this.current) return;
+        const game = this.game;
+        this.entries.push({
+            playedAt: new Date().toISOString(),
+            winner,
+            reason,
+            durationMs: Math.round(game.clock),
+            seed,
+            cpuSide: game.cpuSide,
+            aiDifficulty: game.aiDifficulty,
+            ...this.current
+        });
+        if (this.entries.length > MAX_ENTRIES) this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+        this.current = null;
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    export() {
+        return JSON.stringify(this.entries, null, 2);
+    }
+}
+
+// Win rates, match lengths and streaks over a list of history entries.
+// Single-player matches are also counted from the human's point of view.
+export function summarizeHistory(entries) {
+    const wins = { top: 0, bottom: 0 };
+    const bricks = { top: 0, bottom: 0 };
+    let totalMs = 0;
+    let longestMs = 0;
+    let aiMatches = 0;
+
+    let streak = { side: null, length: 0 };
+    let bestStreak = { side: null, length: 0 };
+
+    const solo = { matches: 0, wins: 0, streak: 0, bestStreak: 0 };
+
+    for (const e of entries) {
+        wins[e.winner]++;
+        totalMs += e.durationMs;
+        longestMs = Math.max(longestMs, e.durationMs);
+        bricks.top += e.bricksDestroyed.top;
+        bricks.bottom += e.bricksDestroyed.bottom;
+        if (e.aiTookOver.top || e.aiTookOver.bottom) aiMatches++;
+
+        streak = (streak.side === e.winner) ? { side: e.winner, length: streak.length + 1 } : { side: e.winner, length: 1 };
+        if (streak.length > bestStreak.length) bestStreak = streak;
+
+        if (e.cpuSide) {
+            solo.matches++;
+            if (e.winner !== e.cpuSide) {
+                solo.wins++;
+                solo.streak++;
+                solo.bestStreak = Math.max(solo.bestStreak, solo.streak);
+            } else {
+                solo.streak = 0;
+            }
+        }
+    }
+
+    const matches = entries.length;
+    const rate = (n, of) => (of > 0 ? n / of : 0);
+    return {
+        matches,
+        wins,
+        winRate: { top: rate(wins.top, matches), bottom: rate(wins.bottom, matches) },
+        averageMs: rate(totalMs, matches),
+        longestMs,
+        bricksDestroyed: bricks,
+        aiMatches,
+        streak,
+        bestStreak,
+        solo: { ...solo, winRate: rate(solo.wins, solo.matches) }
+    };
+}
@@ -0,0 +1,109 @@
+import { POWER_UPS } from './powerups.js';
+
+const CHIP_SIZE = 28; // css px
+const RING_WIDTH = 3;
+const SIDES = ['top', 'bottom'];
+
+// Strip in each score area, facing its player: ball count, speed of the
+// fastest ball and one chip per active power-up. Timed effects show a
+// ring that runs down; charges (shield, sticky, piercing) a full ring.
+export class Hud {
+    constructor() {
+        this.strips = {};
+        for (const side of SIDES) {
+            const el = document.getElementById(`hud-${side}`);
+            this.strips[side] = {
+                el,
+                balls: el.querySelector('.hud-balls'),
+                speed: el.querySelector('.hud-speed-fill'),
+                chips: el.querySelector('.hud-chips'),
+                canvases: new Map(), // type -> <canvas>
+                text: { balls: null, speed: null }
+            };
+        }
+    }
+
+    // Called every frame with whichever game is on screen
+    update(game) {
+        for (const side of SIDES) this.updateSide(game, side);
+    }
+
+    updateSide(game, side) {
+        const strip = this.strips[side];
+        // A side's primary ball counts while it rests on the paddle (before a
+        // launch, or caught by the sticky paddle); removed extras don't
+        const owned = (side === 'top' ? game.ballsTop : game.ballsBottom).filter(b => b.active || !b.isExtra);
+        const balls = owned.filter(b => b.active);
+
+        // Only touch the DOM when something changed
+        const ballText = `●×${owned.length}`;
+        if (strip.text.balls !== ballText) {
+            strip.balls.textContent = ballText;
+            strip.text.balls = ballText;
+        }
+        const fraction = Math.max(0, ...balls.map(b => (b.maxGameSpeed ? b.gameSpeed / b.maxGameSpeed : 0)));
+        const speedText = `${Math.round(Math.min(1, fraction) * 100)}%`;
+        if (strip.text.speed !== speedText) {
+            strip.speed.style.width = speedText;
+            strip.speed.parentElement.title = `Ball speed ${speedText}`;
+            strip.text.speed = speedText;
+        }
+
+        const active = new Set();
+        for (const [type, powerUp] of Object.entries(POWER_UPS)) {
+            const status = powerUp.status ? powerUp.status(game, side) : null;
+            if (!status) continue;
+            active.add(type);
+            this.drawChip(strip, type, status);
+        }
+        for (const [type, canvas] of strip.canvases) {
+            if (active.has(type)) continue;
+            canvas.remove();
+            strip.canvases.delete(type);
+        }
+    }
+
+    drawChip(strip, type, status) {
+        const powerUp = POWER_UPS[type];
+        let canvas = strip.canvases.get(type);
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.className = 'hud-chip';
+            canvas.title = powerUp.label;
+            canvas.width = CHIP_SIZE * window.devicePixelRatio;
+            canvas.height = CHIP_SIZE * window.devicePixelRatio;
+            strip.chips.appendChild(canvas);
+            strip.canvases.set(type, canvas);
+        }
+
+        const ctx = canvas.getContext('2d');
+        const c = CHIP_SIZE / 2;
+        const radius = c - RING_WIDTH / 2;
+        const remaining = status.remaining === undefined ? 1 : status.remaining;
+        ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+        ctx.clearRect(0, 0, CHIP_SIZE, CHIP_SIZE);
+
+        ctx.fillStyle = powerUp.fill;
+        ctx.beginPath(); ctx.arc(c, c, radius, 0, Math.PI * 2); ctx.fill();
+        ctx.lineWidth = RING_WIDTH;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+        ctx.stroke();
+        // Countdown ring, running down clockwise from twelve o'clock
+        ctx.strokeStyle = powerUp.color;
+        ctx.beginPath(); ctx.arc(c, c, radius, -Math.PI / 2, -Math.PI / 2 + remaining * Math.PI * 2); ctx.stroke();
+
+        // The brick icons are drawn for ~40px bricks; shrink them into the ring
+        ctx.save();
+        ctx.translate(c, c);
+        ctx.scale(0.6, 0.6);
+        powerUp.drawIcon(ctx, 0, 0);
+        ctx.restore();
+
+        if (status.count > 1) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 9px "Trebuchet MS", sans-serif';
+            ctx.textAlign = 'right'; ctx.textBaseline = 'bottom';
+            ctx.fillText(String(status.count), CHIP_SIZE - 1, CHIP_SIZE);
+        }
+    }
+}
@@ -0,0 +1,127 @@
+// Keyboard scheme for two players on one keyboard (in single-player either set
+// drives the human's paddle). Keys only set held-state;
+// step() turns that into the same input commands a pointer produces, once per
+// simulation tick, so paddle acceleration is frame-rate independent and
+// keyboard matches record and replay like any other.
+const BINDINGS = {
+    top: { left: ['KeyA'], right: ['KeyD'], aim: ['KeyW'] },
+    bottom: { left: ['ArrowLeft'], right: ['ArrowRight'], aim: ['Enter', 'NumpadEnter', 'ArrowUp'] }
+};
+
+// Single-player: whichever keys the player reaches for
+const EITHER = {
+    left: [...BINDINGS.top.left, ...BINDINGS.bottom.left],
+    right: [...BINDINGS.top.right, ...BINDINGS.bottom.right],
+    aim: [...BINDINGS.top.aim, ...BINDINGS.bottom.aim]
+};
+
+const MOVE_ACCEL = 0.9; // px per tick, per tick held
+const MOVE_MAX_SPEED = 14; // px per tick
+const AIM_TURN_SPEED = 0.035; // radians per tick
+const AIM_MAX_ANGLE = 1.2; // radians either side of straight at the wall
+const AIM_LENGTH = 200; // distance of the aim point; sets a medium launch speed
+
+export class KeyboardControls {
+    constructor(game, view) {
+        this.game = game;
+        this.view = view;
+        this.held = new Set();
+        this.state = {
+            top: { velocity: 0, angle: 0, aiming: false },
+            bottom: { velocity: 0, angle: 0, aiming: false }
+        };
+
+        const bound = new Set(Object.values(BINDINGS).flatMap(b => [...b.left, ...b.right, ...b.aim]));
+
+        window.addEventListener('keydown', (e) => {
+            if (!bound.has(e.code)) return;
+            // Keep arrows from scrolling and Enter from re-clicking a focused button
+            if (this.game.running) e.preventDefault();
+            this.held.add(e.code);
+        });
+        window.addEventListener('keyup', (e) => {
+            this.held.delete(e.code);
+        });
+        // Keys released while the window is unfocused never send keyup
+        window.addEventListener('blur', () => this.held.clear());
+
+        game.on('start', () => {
+            for (const s of Object.values(this.state)) {
+                s.velocity = 0;
+                s.angle = 0;
+                s.aiming = false;
+            }
+        });
+    }
+
+    isHeld(codes) {
+        return codes.some(code => this.held.has(code));
+    }
+
+    // Call once before every game.update()
+    step() {
+        if (!this.game.running || this.view.inputLocked) return;
+        const { cpuSide } = this.game;
+        if (cpuSide) {
+            this.stepSide(cpuSide === 'top' ? 'bottom' : 'top', EITHER);
+            return;
+        }
+        this.stepSide('top', BINDINGS.top);
+        this.stepSide('bottom', BINDINGS.bottom);
+    }
+
+    stepSide(side, keys) {
+        const game = this.game;
+        const s = this.state[side];
+        const paddle = (side === 'top') ? game.paddleTop : game.paddleBottom;
+        const dir = (this.isHeld(keys.right) ? 1 : 0) - (this.isHeld(keys.left) ? 1 : 0);
+
+        if (s.aiming) {
+            if (!game.aiming[side]) {
+                // Aim was cancelled underneath us (e.g. a new match)
+                s.aiming = false;
+            } else if (!this.isHeld(keys.aim)) {
+                s.aiming = false;
+                game.input({ type: 'launch', side });
+                return;
+            } else {
+                if (dir !== 0) {
+                    s.angle = Math.max(-AIM_MAX_ANGLE, Math.min(AIM_MAX_ANGLE, s.angle + dir * AIM_TURN_SPEED));
+                    game.input({ type: 'aim', side, ...this.aimPoint(side, paddle, s.angle) });
+                }
+                return;
+            }
+        }
+
+        if (this.isHeld(keys.aim)) {
+            const ball = (side === 'top') ? game.ballsTop[0] : game.ballsBottom[0];
+            if (ball && !ball.active && !game.aiming[side]) {
+                // Take the side back from the AI first, like touching the paddle does
+                game.input({ type: 'move', side, x: paddle.x });
+                s.angle = 0;
+                s.velocity = 0;
+                game.input({ type: 'aimStart', side, ...this.aimPoint(side, paddle, s.angle) });
+                s.aiming = !!game.aiming[side];
+                if (s.aiming) return;
+            }
+        }
+
+        if (dir === 0) {
+            s.velocity = 0;
+            return;
+        }
+        // Reversing direction starts from rest instead of sliding through zero
+        if (Math.sign(s.velocity) !== dir) s.velocity = 0;
+        s.velocity = Math.max(-MOVE_MAX_SPEED, Math.min(MOVE_MAX_SPEED, s.velocity + dir * MOVE_ACCEL));
+        game.input({ type: 'move', side, x: paddle.x + s.velocity });
+    }
+
+    // Point AIM_LENGTH away from the paddle; angle 0 is straight at the wall
+    aimPoint(side, paddle, angle) {
+        const forward = (side === 'top') ? 1 : -1;
+        return {
+            x: paddle.x + Math.sin(angle) * AIM_LENGTH,
+            y: paddle.y + Math.cos(angle) * AIM_LENGTH * forward
+        };
+    }
+}
@@ -0,0 +1,90 @@
+import { BUILTIN_LAYOUTS, validateLayout } from './layouts.js';
+
+const STORAGE_KEY = 'bricks4two.layout';
+const CUSTOM_KEY = 'bricks4two.layouts';
+
+// Walls made in the editor, saved as { name: layout }. Entries that no
+// longer validate are dropped on load.
+export function loadCustomLayouts() {
+    const layouts = {};
+    try {
+        const data = JSON.parse(window.localStorage.getItem(CUSTOM_KEY));
+        for (const [name, layout] of Object.entries(data || {})) {
+            try {
+                layouts[name] = validateLayout(layout);
+            } catch (e) {
+                // Skip the broken one, keep the rest
+            }
+        }
+    } catch (e) {
+        // Unreadable or blocked storage: no custom walls
+    }
+    return layouts;
+}
+
+export function saveCustomLayouts(layouts) {
+    try {
+        window.localStorage.setItem(CUSTOM_KEY, JSON.stringify(layouts));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// The overlay's "Wall" select: picks the starting layout for the next match
+// and remembers the choice. Built-ins use their id, custom walls "custom:<name>".
+export class LayoutPicker {
+    constructor(game) {
+        this.game = game;
+        this.select = document.getElementById('layout-select');
+        this.select.parentElement.addEventListener('pointerdown', (e) => e.stopPropagation());
+        this.select.parentElement.addEventListener('click', (e) => e.stopPropagation());
+        this.select.addEventListener('change', () => this.choose(this.select.value));
+
+        this.refresh(this.load());
+    }
+
+    load() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY) || 'straight';
+        } catch (e) {
+            return 'straight';
+        }
+    }
+
+    layoutFor(id) {
+        if (id.startsWith('custom:')) return this.custom[id.slice('custom:'.length)] || null;
+        return BUILTIN_LAYOUTS[id] ? BUILTIN_LAYOUTS[id].layout : null;
+    }
+
+    has(id) {
+        return id.startsWith('custom:') ? !!this.layoutFor(id) : !!BUILTIN_LAYOUTS[id];
+    }
+
+    choose(id) {
+        if (!this.has(id)) id = 'straight';
+        this.selected = id;
+        this.select.value = id;
+        this.game.setLayout(this.layoutFor(id));
+        try {
+            window.localStorage.setItem(STORAGE_KEY, id);
+        } catch (e) {
+            // Applies for this session only
+        }
+    }
+
+    // Re-reads the saved walls (after the editor changed them) and re-selects
+    refresh(id = this.selected) {
+        this.custom = loadCustomLayouts();
+        this.select.innerHTML = '';
+        const addOption = (value, text) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            this.select.appendChild(opt);
+        };
+        for (const [builtinId, { label }] of Object.entries(BUILTIN_LAYOUTS)) addOption(builtinId, label);
+        for (const name of Object.keys(this.custom)) addOption(`custom:${name}`, name);
+        this.choose(id);
+    }
+}
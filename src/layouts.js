@@ -0,0 +1,119 @@
+import { POWER_UPS } from './powerups.js';
+
+// Starting walls as plain JSON:
+//
+//   {
+//     "format": "bricks4two-wall", "version": 1,
+//     "name": "Zigzag",
+//     "columns": 12,
+//     "bricks": [{ "row": 0, "col": 5, "type": "demo" }, { "row": -1, "col": 2, "hp": 3 }, ...]
+//   }
+//
+// Rows count from the midline (negative is towards the top player). Columns
+// index a design grid `columns` wide that is stretched over however many
+// columns the screen has, so a layout works at every width. A brick may carry
+// a power-up `type`, armor `hp` (2+) or `"steel": true`.
+export const LAYOUT_FORMAT = 'bricks4two-wall';
+export const LAYOUT_VERSION = 1;
+
+export const MAX_COLUMNS = 40;
+export const MAX_ROW_OFFSET = 10;
+export const MAX_HP = 9;
+export const MAX_STEEL = 3; // steel never leaves, so without a cap it would take over the wall
+
+// Helpers for the built-ins
+const span = (row, from, to, extra = {}) => {
+    const bricks = [];
+    for (let col = from; col <= to; col++) bricks.push({ row, col, ...extra });
+    return bricks;
+};
+const layout = (name, columns, bricks) => ({ format: LAYOUT_FORMAT, version: LAYOUT_VERSION, name, columns, bricks });
+
+// Each column runs down to the next one's row so the steps stay linked
+function zigzag() {
+    const rows = [0, 1, 2, 1, 0, -1, -2, -1, 0, 1, 2, 1];
+    const bricks = [];
+    rows.forEach((row, col) => {
+        const next = rows[Math.min(rows.length - 1, col + 1)];
+        for (let r = Math.min(row, next); r <= Math.max(row, next); r++) bricks.push({ row: r, col });
+    });
+    bricks.find(b => b.row === 0 && b.col === 4).type = 'demo';
+    return layout('Zigzag', 12, bricks);
+}
+
+function doubleRow() {
+    return layout('Double row', 12, [...span(-1, 0, 11), ...span(1, 0, 11), { row: 0, col: 6, type: 'demo' }]);
+}
+
+// Armored keep in the middle, steel gates either side
+function fortress() {
+    const bricks = [...span(0, 0, 3), { row: 0, col: 4, steel: true }, ...span(0, 5, 6), { row: 0, col: 7, steel: true }, ...span(0, 8, 11)];
+    bricks.push(...span(-1, 4, 7, { hp: 3 }), ...span(1, 4, 7, { hp: 3 }));
+    bricks.find(b => b.row === 0 && b.col === 6).type = 'demo';
+    return layout('Fortress', 12, bricks);
+}
+
+// Gaps in the main row, each bridged above and below
+function holes() {
+    const gaps = [2, 6, 10];
+    const bricks = span(0, 0, 11).filter(b => !gaps.includes(b.col));
+    for (const gap of gaps) bricks.push(...span(-1, gap - 1, gap + 1), ...span(1, gap - 1, gap + 1));
+    bricks.find(b => b.row === 0 && b.col === 5).type = 'demo';
+    return layout('Holes', 12, bricks);
+}
+
+// A null layout is the original single straight row
+export const BUILTIN_LAYOUTS = {
+    straight: { label: 'Straight', layout: null },
+    zigzag: { label: 'Zigzag', layout: zigzag() },
+    double: { label: 'Double row', layout: doubleRow() },
+    fortress: { label: 'Fortress', layout: fortress() },
+    holes: { label: 'Holes', layout: holes() }
+};
+
+// Checks a parsed layout and returns a clean copy; throws an Error with a
+// readable message. Connectivity is checked by the wall when it is built.
+export function validateLayout(data) {
+    if (!data || data.format !== LAYOUT_FORMAT) throw new Error('Not a wall layout');
+    if (data.version !== LAYOUT_VERSION) throw new Error(`Unsupported layout version (expected ${LAYOUT_VERSION})`);
+    const isInt = (v) => Number.isInteger(v);
+    if (!isInt(data.columns) || data.columns < 1 || data.columns > MAX_COLUMNS) {
+        throw new Error(`Layout needs 1 to ${MAX_COLUMNS} columns`);
+    }
+    if (!Array.isArray(data.bricks) || data.bricks.length === 0) throw new Error('Layout has no bricks');
+
+    const seen = new Set();
+    const bricks = data.bricks.map((b) => {
+        if (!b || !isInt(b.row) || !isInt(b.col) || Math.abs(b.row) > MAX_ROW_OFFSET || b.col < 0 || b.col >= data.columns) {
+            throw new Error('Layout has a brick outside its grid');
+        }
+        const key = `${b.col},${b.row}`;
+        if (seen.has(key)) throw new Error(`Layout has two bricks at row ${b.row}, column ${b.col}`);
+        seen.add(key);
+
+        const brick = { row: b.row, col: b.col };
+        if (b.type !== undefined && b.type !== null) {
+            if (!POWER_UPS[b.type]) throw new Error(`Unknown brick type "${b.type}"`);
+            brick.type = b.type;
+        }
+        if (b.steel === true) brick.steel = true;
+        else if (b.hp !== undefined && b.hp !== 1) {
+            if (!isInt(b.hp) || b.hp < 1 || b.hp > MAX_HP) throw new Error(`Brick hit points must be 1 to ${MAX_HP}`);
+            brick.hp = b.hp;
+        }
+        return brick;
+    });
+    if (bricks.filter(b => b.steel).length > MAX_STEEL) throw new Error(`Layout has more than ${MAX_STEEL} steel bricks`);
+    const name = (typeof data.name === 'string' && data.name.trim()) ? data.name.trim().slice(0, 40) : 'Custom wall';
+    return { format: LAYOUT_FORMAT, version: LAYOUT_VERSION, name, columns: data.columns, bricks };
+}
+
+export function parseLayout(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Layout is not valid JSON');
+    }
+    return validateLayout(data);
+}
@@ -0,0 +1,34 @@
+// Fixed-timestep driver: real frame time is accumulated and consumed in
+// constant simulation steps, so game speed no longer depends on refresh rate.
+export class FixedStepLoop {
+    constructor(stepMs, maxFrameMs = 100) {
+        this.stepMs = stepMs;
+        // Long gaps (backgrounded tab, debugger pause) are clamped so the
+        // simulation never tries to catch up on time the player didn't see.
+        this.maxFrameMs = maxFrameMs;
+        // Playback speed multiplier (replays use 0.5x / 2x)
+        this.timeScale = 1;
+        this.accumulator = 0;
+        this.lastTime = null;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.lastTime = null;
+    }
+
+    // Runs as many whole steps as the elapsed time allows and returns the
+    // leftover fraction of a step (0..1) for render interpolation.
+    advance(now, step) {
+        if (this.lastTime === null) this.lastTime = now;
+        const frameMs = Math.min(this.maxFrameMs, Math.max(0, now - this.lastTime));
+        this.lastTime = now;
+
+        this.accumulator += frameMs * this.timeScale;
+        while (this.accumulator >= this.stepMs) {
+            step();
+            this.accumulator -= this.stepMs;
+        }
+        return this.accumulator / this.stepMs;
+    }
+}
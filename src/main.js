@@ -1,30 +1,76 @@
 /**
  * Bricks-4-Two v1.1
  */
-import { Game } from './game.js';
+import { Game, TICK_MS } from './game.js';
+import { GameView } from './view.js';
+import { FixedStepLoop } from './loop.js';
+import { parseSeed } from './random.js';
+import { Recorder } from './replay.js';
+import { ReplayControls } from './replay-ui.js';
+import { KeyboardControls } from './keyboard.js';
+import { SettingsPanel } from './settings.js';
+import { MatchHistory } from './history.js';
+import { StatsScreen } from './stats-ui.js';
+import { PauseControls } from './pause.js';
+import { SoundEffects } from './sound.js';
+import { SoundControls } from './sound-ui.js';
+import { LayoutPicker } from './layout-picker.js';
+import { WallEditor } from './editor.js';
+import { MatchSaver } from './savegame.js';
 
 window.addEventListener('load', () => {
     const canvas = document.getElementById('game-canvas');
-    const game = new Game(canvas);
+    // ?seed=<number or text> replays a specific match
+    const seed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+    const game = new Game({ width: canvas.clientWidth, height: canvas.clientHeight, seed });
+    const view = new GameView(canvas, game);
+    const stepper = new FixedStepLoop(TICK_MS);
+    const recorder = new Recorder(game);
+    const replay = new ReplayControls(view, recorder);
+    const keyboard = new KeyboardControls(game, view);
+    new SettingsPanel(view);
+    new WallEditor(view, new LayoutPicker(game));
+    const history = new MatchHistory(game);
+    new StatsScreen(view, history);
+    new PauseControls(game, view);
+    const sounds = new SoundEffects(game);
+    new SoundControls(sounds.engine);
+    new MatchSaver(view, recorder, history);
 
     let lastRendered = true;
     function loop(now) {
-        if (game.running) {
-            game.update(now);
-            game.draw();
+        if (replay.active) {
+            replay.frame(now);
+        } else if (game.running && !game.paused) {
+            const alpha = stepper.advance(now, () => {
+                keyboard.step();
+                game.update();
+            });
+            view.draw(alpha);
             lastRendered = true;
-        } else if (lastRendered) {
-            // Draw one final frame after game stops to show the winning state
-            game.draw();
-            lastRendered = false;
+        } else {
+            // Don't let idle time on the overlay or pause screen count towards the match
+            stepper.reset();
+            if (lastRendered) {
+                // Draw one final frame after game stops to show the winning state
+                view.draw();
+                lastRendered = false;
+            }
         }
         requestAnimationFrame(loop);
     }
 
     requestAnimationFrame(loop);
 
+    // rAF stops while the tab is hidden; resume from "now" instead of catching up
+    document.addEventListener('visibilitychange', () => {
+        stepper.reset();
+    });
+
     // Resize handler
     window.addEventListener('resize', () => {
-        game.resize();
+        view.resize();
+        // Resizing clears the canvas; repaint now in case the loop is idle (overlay, pause)
+        if (!replay.active) view.draw();
     });
 });
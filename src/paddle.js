@@ -1,27 +1,48 @@
 export class Paddle {
-    constructor(canvas, side, color) {
-        this.canvas = canvas;
+    constructor(game, side, color) {
+        this.game = game;
         this.side = side; // 'top' or 'bottom'
         this.color = color;
 
-        this.DEFAULT_WIDTH = 120;
+        this.applyRules();
         this.width = this.DEFAULT_WIDTH;
-        this.MIN_WIDTH = 60;
-        this.MAX_WIDTH = 240;
         this.height = 15;
         this.y = 0;
         this.widthExpiry = 0;
+        this.widthDuration = 0;
+        this.sticky = false; // next own ball to land stays on the paddle
+        this.shielded = false; // one lost ball is bounced back
 
         this.reset();
     }
 
+    // Direction (along y) from this paddle towards the wall
+    get facing() {
+        return (this.side === 'top') ? 1 : -1;
+    }
+
+    applyRules() {
+        const { paddleWidth, paddleMinWidth, paddleMaxWidth } = this.game.rules;
+        this.DEFAULT_WIDTH = paddleWidth;
+        this.MIN_WIDTH = paddleMinWidth;
+        this.MAX_WIDTH = paddleMaxWidth;
+    }
+
     reset() {
-        const gameWidth = this.canvas.clientWidth;
-        const gameHeight = this.canvas.clientHeight;
+        const gameWidth = this.game.width;
+        const gameHeight = this.game.height;
 
+        this.applyRules();
         this.width = this.DEFAULT_WIDTH;
         this.widthExpiry = 0;
+        this.sticky = false;
+        this.shielded = false;
         this.x = gameWidth / 2;
+        this.prevX = this.x;
+        this.placeAtEdge(gameHeight);
+    }
+
+    placeAtEdge(gameHeight) {
         if (this.side === 'top') {
             this.y = 20 + this.height / 2;
         } else {
@@ -29,9 +50,17 @@ export class Paddle {
         }
     }
 
-    changeWidth(delta, now) {
+    // Keeps width, timers and relative x when the canvas is resized
+    fitToSize(scaleX) {
+        this.placeAtEdge(this.game.height);
+        this.moveTo(this.x * scaleX);
+        this.prevX = this.x;
+    }
+
+    changeWidth(delta, now, duration) {
         this.width = Math.max(this.MIN_WIDTH, Math.min(this.MAX_WIDTH, this.width + delta));
-        this.widthExpiry = now + 10000; // 10 seconds duration
+        this.widthExpiry = now + duration;
+        this.widthDuration = duration;
         // Keep paddle center within bounds after resize
         this.moveTo(this.x);
     }
@@ -45,12 +74,14 @@ export class Paddle {
     }
 
     moveTo(x) {
-        const gameWidth = this.canvas.clientWidth;
+        const gameWidth = this.game.width;
         // Keep within bounds
         this.x = Math.max(this.width / 2, Math.min(gameWidth - this.width / 2, x));
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
+        const x = this.prevX + (this.x - this.prevX) * alpha;
+
         ctx.save();
         ctx.fillStyle = this.color;
 
@@ -59,7 +90,7 @@ export class Paddle {
         ctx.shadowColor = this.color;
 
         // Arched paddle shape
-        const rx = this.x - this.width / 2;
+        const rx = x - this.width / 2;
         const ry = this.y - this.height / 2;
         const bulge = 6; // How much the paddle curves out
 
@@ -69,23 +100,35 @@ export class Paddle {
             ctx.moveTo(rx, ry + this.height);
             ctx.lineTo(rx + this.width, ry + this.height);
             ctx.lineTo(rx + this.width, ry + bulge);
-            ctx.quadraticCurveTo(this.x, ry - bulge, rx, ry + bulge);
+            ctx.quadraticCurveTo(x, ry - bulge, rx, ry + bulge);
         } else {
             // Arched bottom for top paddle
             ctx.moveTo(rx, ry);
             ctx.lineTo(rx + this.width, ry);
             ctx.lineTo(rx + this.width, ry + this.height - bulge);
-            ctx.quadraticCurveTo(this.x, ry + this.height + bulge, rx, ry + this.height - bulge);
+            ctx.quadraticCurveTo(x, ry + this.height + bulge, rx, ry + this.height - bulge);
         }
         ctx.closePath();
 
         ctx.fill();
 
-        // Highlight
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        // Highlight (gold while sticky)
+        ctx.strokeStyle = this.sticky ? '#ffd23e' : 'rgba(255, 255, 255, 0.4)';
         ctx.lineWidth = 2;
         ctx.stroke();
 
+        // Shield: a bar along this player's edge of the screen
+        if (this.shielded) {
+            const edgeY = (this.side === 'top') ? 3 : this.game.height - 3;
+            ctx.shadowColor = '#00ffd5';
+            ctx.strokeStyle = '#00ffd5';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(0, edgeY);
+            ctx.lineTo(this.game.width, edgeY);
+            ctx.stroke();
+        }
+
         ctx.restore();
     }
 
@@ -0,0 +1,100 @@
+const COUNTDOWN_SECONDS = 3;
+const PAUSE_KEYS = ['Escape', 'KeyP'];
+
+// Pause buttons, pause keys and the pause screen. Leaving the tab or window
+// pauses on its own; resuming counts down first so nobody is caught off guard.
+export class PauseControls {
+    constructor(game, view) {
+        this.game = game;
+        this.view = view;
+        this.countdownTimer = null;
+
+        this.screen = document.getElementById('pause-screen');
+        this.message = document.getElementById('pause-message');
+        this.hint = document.getElementById('pause-hint');
+
+        this.buttons = document.querySelectorAll('.pause-btn');
+        for (const btn of this.buttons) {
+            btn.addEventListener('pointerdown', (e) => e.stopPropagation());
+            btn.addEventListener('click', () => this.toggle());
+        }
+        this.screen.addEventListener('click', () => this.requestResume());
+
+        window.addEventListener('keydown', (e) => {
+            if (!PAUSE_KEYS.includes(e.code) || !this.game.running || this.view.inputLocked) return;
+            e.preventDefault();
+            this.toggle();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+        window.addEventListener('blur', () => this.pause());
+
+        game.on('pause', () => this.show());
+        game.on('resume', () => this.hide());
+        for (const event of ['start', 'restore']) {
+            game.on(event, () => {
+                this.hide();
+                this.showButtons(true);
+            });
+        }
+        game.on('gameOver', () => {
+            this.hide();
+            this.showButtons(false);
+        });
+    }
+
+    showButtons(visible) {
+        for (const btn of this.buttons) btn.hidden = !visible;
+    }
+
+    toggle() {
+        if (this.game.paused) this.requestResume();
+        else this.pause();
+    }
+
+    pause() {
+        if (this.view.inputLocked) return;
+        if (this.game.paused) {
+            // Losing focus mid-countdown stays paused
+            this.cancelCountdown();
+            return;
+        }
+        this.game.input({ type: 'pause' });
+    }
+
+    requestResume() {
+        if (!this.game.paused || this.countdownTimer !== null) return;
+        let remaining = COUNTDOWN_SECONDS;
+        this.message.textContent = String(remaining);
+        this.hint.textContent = 'Get ready';
+        this.countdownTimer = window.setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                this.message.textContent = String(remaining);
+                return;
+            }
+            this.cancelCountdown();
+            this.game.input({ type: 'resume' });
+        }, 1000);
+    }
+
+    cancelCountdown() {
+        if (this.countdownTimer !== null) window.clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        this.message.textContent = 'PAUSED';
+        this.hint.textContent = 'Tap to resume';
+    }
+
+    show() {
+        this.cancelCountdown();
+        // Face the human in single-player, like the overlay
+        this.screen.classList.toggle('rotate-180', !!this.game.cpuSide && this.view.humanSide === 'top');
+        this.screen.classList.remove('hidden');
+    }
+
+    hide() {
+        this.cancelCountdown();
+        this.screen.classList.add('hidden');
+    }
+}
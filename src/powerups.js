@@ -0,0 +1,229 @@
+// Every special brick type in one place. Each entry declares:
+//   weight        relative odds of being picked when a repair brick turns special
+//                 (0 = never spawned by repairs)
+//   color, fill   stroke/glow and body colour of the brick; glow is the shadow blur
+//   drawIcon      draws the brick's icon centred on (x, y)
+//   effect        applies it to the game for the side whose ball hit it
+//   duration      ms a timed effect lasts, or null for instant ones
+//   neutralizable an inert brick (see Wall.updateInertFlags) loses its type when hit
+//   anyPlayer     takes effect even when a stand-in AI hits it
+//   sound         plays it on a SoundEngine
+//   status        what the HUD shows while it is active for a side, or null:
+//                 { remaining } (0..1) for timed effects, { count } for charges
+const PIERCE_BRICKS = 3;
+const PADDLE_WIDTH_STEP = 40;
+
+const paddleOf = (game, side) => (side === 'top' ? game.paddleTop : game.paddleBottom);
+const ballsOf = (game, side) => (side === 'top' ? game.ballsTop : game.ballsBottom);
+const ruleDuration = (game) => game.rules.powerUpDuration;
+
+// Share of a paddle's width change still to run, if it grew (sign 1) or shrank (-1)
+const widthStatus = (sign) => (game, side) => {
+    const paddle = paddleOf(game, side);
+    if (!paddle.widthExpiry || Math.sign(paddle.width - paddle.DEFAULT_WIDTH) !== sign) return null;
+    return { remaining: Math.max(0, Math.min(1, (paddle.widthExpiry - game.clock) / paddle.widthDuration)) };
+};
+
+export const POWER_UPS = {
+    demo: {
+        label: 'Demo',
+        weight: 0,
+        color: '#00d0ff',
+        fill: 'rgba(0, 208, 255, 0.2)',
+        glow: 10,
+        duration: null,
+        neutralizable: true,
+        anyPlayer: true,
+        drawIcon(ctx, x, y) {
+            ctx.fillStyle = '#00d0ff'; ctx.font = 'bold 12px "Trebuchet MS", sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+            ctx.fillText('DEMO', x, y + 1);
+        },
+        effect(game) {
+            game.enableDemo();
+        },
+        sound: (s) => s.sequence([440, 554, 440, 554], { type: 'square', duration: 0.06, step: 0.06, gain: 0.15 })
+    },
+    extraBall: {
+        label: 'Extra ball',
+        weight: 25,
+        color: '#00ff88',
+        fill: 'rgba(0, 255, 136, 0.15)',
+        duration: null,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Green outlined ball with +
+            ctx.strokeStyle = '#00ff88'; ctx.lineWidth = 2; ctx.beginPath(); ctx.arc(x, y, 7, 0, Math.PI * 2); ctx.stroke();
+            ctx.fillStyle = '#00ff88'; ctx.font = 'bold 14px "Trebuchet MS", sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+            ctx.fillText('+', x, y + 1);
+        },
+        effect(game, ball) {
+            game.spawnExtraBall(ball.side);
+        },
+        sound: (s) => s.sequence([523, 659, 784], { type: 'triangle', duration: 0.09 })
+    },
+    removeBall: {
+        label: 'Remove ball',
+        weight: 8,
+        color: '#ff3e3e',
+        fill: 'rgba(255, 62, 62, 0.15)',
+        duration: null,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Red outlined ball with -
+            ctx.strokeStyle = '#ff3e3e'; ctx.lineWidth = 2; ctx.beginPath(); ctx.arc(x, y, 7, 0, Math.PI * 2); ctx.stroke();
+            ctx.fillStyle = '#ff3e3e'; ctx.font = 'bold 16px "Trebuchet MS", sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+            ctx.fillText('-', x, y);
+        },
+        effect(game, ball) {
+            game.removeOneBall(ball.side);
+        },
+        sound: (s) => s.sequence([784, 659, 523], { type: 'triangle', duration: 0.09 })
+    },
+    enlargePaddle: {
+        label: 'Wide paddle',
+        weight: 22,
+        color: '#3e8dff',
+        fill: 'rgba(62, 141, 255, 0.15)',
+        duration: ruleDuration,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Outward arrows <-->
+            ctx.strokeStyle = '#3e8dff'; ctx.lineWidth = 2; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+            const w = 12, h = 6;
+            ctx.beginPath();
+            ctx.moveTo(x - w, y); ctx.lineTo(x + w, y); // Main line
+            ctx.moveTo(x - w + h, y - h / 2); ctx.lineTo(x - w, y); ctx.lineTo(x - w + h, y + h / 2);
+            ctx.moveTo(x + w - h, y - h / 2); ctx.lineTo(x + w, y); ctx.lineTo(x + w - h, y + h / 2);
+            ctx.stroke();
+        },
+        effect(game, ball) {
+            paddleOf(game, ball.side).changeWidth(PADDLE_WIDTH_STEP, game.clock, this.duration(game));
+        },
+        status: widthStatus(1),
+        sound: (s) => s.tone({ type: 'sine', freq: 300, endFreq: 900, duration: 0.25 })
+    },
+    shrinkPaddle: {
+        label: 'Narrow paddle',
+        weight: 8,
+        color: '#ff9f3e',
+        fill: 'rgba(255, 159, 62, 0.15)',
+        duration: ruleDuration,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Inward arrows >-<
+            ctx.strokeStyle = '#ff9f3e'; ctx.lineWidth = 2; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+            const w = 12, h = 6;
+            ctx.beginPath();
+            ctx.moveTo(x - w + h, y); ctx.lineTo(x + w - h, y); // Main line
+            ctx.moveTo(x - w, y - h / 2); ctx.lineTo(x - w + h, y); ctx.lineTo(x - w, y + h / 2);
+            ctx.moveTo(x + w, y - h / 2); ctx.lineTo(x + w - h, y); ctx.lineTo(x + w, y + h / 2);
+            ctx.stroke();
+        },
+        effect(game, ball) {
+            paddleOf(game, ball.side).changeWidth(-PADDLE_WIDTH_STEP, game.clock, this.duration(game));
+        },
+        status: widthStatus(-1),
+        sound: (s) => s.tone({ type: 'sine', freq: 900, endFreq: 300, duration: 0.25 })
+    },
+    slowBall: {
+        label: 'Slow ball',
+        weight: 10,
+        color: '#b388ff',
+        fill: 'rgba(179, 136, 255, 0.15)',
+        duration: null,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Clock face
+            ctx.strokeStyle = '#b388ff'; ctx.lineWidth = 2; ctx.lineCap = 'round';
+            ctx.beginPath(); ctx.arc(x, y, 7, 0, Math.PI * 2); ctx.stroke();
+            ctx.beginPath(); ctx.moveTo(x, y - 4); ctx.lineTo(x, y); ctx.lineTo(x + 3, y + 2); ctx.stroke();
+        },
+        // Each ball drops back to the speed it was launched at (never speeds one up)
+        effect(game, ball) {
+            for (const b of ballsOf(game, ball.side)) b.setSpeed(Math.min(b.gameSpeed, b.launchSpeed));
+        },
+        sound: (s) => s.tone({ type: 'triangle', freq: 440, endFreq: 110, duration: 0.45 })
+    },
+    stickyPaddle: {
+        label: 'Sticky paddle',
+        weight: 9,
+        color: '#ffd23e',
+        fill: 'rgba(255, 210, 62, 0.15)',
+        duration: null,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Ball resting on a paddle
+            ctx.strokeStyle = '#ffd23e'; ctx.fillStyle = '#ffd23e'; ctx.lineWidth = 2; ctx.lineCap = 'round';
+            ctx.beginPath(); ctx.moveTo(x - 10, y + 5); ctx.lineTo(x + 10, y + 5); ctx.stroke();
+            ctx.beginPath(); ctx.arc(x, y - 1, 4, 0, Math.PI * 2); ctx.fill();
+        },
+        effect(game, ball) {
+            paddleOf(game, ball.side).sticky = true;
+        },
+        status: (game, side) => (paddleOf(game, side).sticky ? { count: 1 } : null),
+        sound: (s) => s.sequence([330, 330], { type: 'square', duration: 0.05, step: 0.09, gain: 0.15 })
+    },
+    shield: {
+        label: 'Shield',
+        weight: 9,
+        color: '#00ffd5',
+        fill: 'rgba(0, 255, 213, 0.15)',
+        duration: null,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Shield outline
+            ctx.strokeStyle = '#00ffd5'; ctx.lineWidth = 2; ctx.lineJoin = 'round';
+            ctx.beginPath();
+            ctx.moveTo(x, y - 8); ctx.lineTo(x + 7, y - 5); ctx.lineTo(x + 6, y + 2);
+            ctx.quadraticCurveTo(x + 4, y + 6, x, y + 8);
+            ctx.quadraticCurveTo(x - 4, y + 6, x - 6, y + 2);
+            ctx.lineTo(x - 7, y - 5); ctx.closePath();
+            ctx.stroke();
+        },
+        effect(game, ball) {
+            paddleOf(game, ball.side).shielded = true;
+        },
+        status: (game, side) => (paddleOf(game, side).shielded ? { count: 1 } : null),
+        sound: (s) => s.sequence([392, 523, 659], { type: 'sine', duration: 0.12, step: 0.05 })
+    },
+    piercing: {
+        label: 'Piercing ball',
+        weight: 9,
+        color: '#ff5ed0',
+        fill: 'rgba(255, 94, 208, 0.15)',
+        duration: null,
+        neutralizable: true,
+        drawIcon(ctx, x, y) {
+            // Arrow through a bar
+            ctx.strokeStyle = '#ff5ed0'; ctx.lineWidth = 2; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+            ctx.beginPath();
+            ctx.moveTo(x - 12, y); ctx.lineTo(x + 12, y);
+            ctx.moveTo(x + 7, y - 4); ctx.lineTo(x + 12, y); ctx.lineTo(x + 7, y + 4);
+            ctx.moveTo(x - 2, y - 8); ctx.lineTo(x - 2, y + 8);
+            ctx.stroke();
+        },
+        effect(game, ball) {
+            ball.pierce = PIERCE_BRICKS;
+        },
+        status: (game, side) => {
+            const count = Math.max(0, ...ballsOf(game, side).filter(b => b.active).map(b => b.pierce));
+            return count > 0 ? { count } : null;
+        },
+        sound: (s) => s.tone({ type: 'sawtooth', freq: 1200, endFreq: 400, duration: 0.2, gain: 0.15 })
+    }
+};
+
+// Types that repair bricks can turn into (the DEMO brick is placed, never spawned)
+export const SPAWNABLE_POWER_UPS = Object.keys(POWER_UPS).filter(type => POWER_UPS[type].weight > 0);
+
+// Weighted pick among the types the rules allow; null if they are all disabled
+export function pickPowerUp(roll, disabled = []) {
+    const types = SPAWNABLE_POWER_UPS.filter(type => !disabled.includes(type));
+    const total = types.reduce((sum, type) => sum + POWER_UPS[type].weight, 0);
+    let r = roll * total;
+    for (const type of types) {
+        r -= POWER_UPS[type].weight;
+        if (r < 0) return type;
+    }
+    return null;
+}
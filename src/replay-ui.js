@@ -0,0 +1,155 @@
+import { TICK_MS } from './game.js';
+import { FixedStepLoop } from './loop.js';
+import { ReplayPlayer, exportReplay, importReplay } from './replay.js';
+
+const formatTicks = (ticks) => {
+    const seconds = Math.floor(ticks * TICK_MS / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Overlay buttons and the playback bar for watching, exporting and importing
+// recorded matches. While a replay is open it takes over drawing from the
+// live game, which stays untouched underneath.
+export class ReplayControls {
+    constructor(view, recorder) {
+        this.view = view;
+        this.recorder = recorder;
+        this.player = null;
+        this.playing = false;
+        this.scrubbing = false;
+        this.stepper = new FixedStepLoop(TICK_MS);
+
+        this.watchBtn = document.getElementById('replay-watch-btn');
+        this.exportBtn = document.getElementById('replay-export-btn');
+        this.importBtn = document.getElementById('replay-import-btn');
+        this.fileInput = document.getElementById('replay-file');
+        this.bar = document.getElementById('replay-bar');
+        this.playBtn = document.getElementById('replay-play-btn');
+        this.scrub = document.getElementById('replay-scrub');
+        this.timeLabel = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.barExportBtn = document.getElementById('replay-export-bar-btn');
+        this.closeBtn = document.getElementById('replay-close-btn');
+
+        // The overlay restarts the game on any click, so keep ours to ourselves
+        const onClick = (el, fn) => el.addEventListener('click', (e) => {
+            e.stopPropagation();
+            fn();
+        });
+        for (const el of [this.watchBtn, this.exportBtn, this.importBtn]) {
+            el.addEventListener('pointerdown', (e) => e.stopPropagation());
+        }
+
+        onClick(this.watchBtn, () => {
+            if (this.recorder.recording) this.open(this.recorder.recording);
+        });
+        onClick(this.exportBtn, () => {
+            if (this.recorder.recording) this.download(this.recorder.recording);
+        });
+        onClick(this.importBtn, () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.importFile());
+
+        onClick(this.playBtn, () => (this.playing ? this.pause() : this.play()));
+        onClick(this.barExportBtn, () => this.download(this.player.recording));
+        onClick(this.closeBtn, () => this.close());
+        this.speedSelect.addEventListener('change', () => {
+            this.stepper.timeScale = Number(this.speedSelect.value);
+        });
+        // Seeking can re-simulate the whole match, so only do it once the thumb is released
+        this.scrub.addEventListener('input', () => {
+            this.scrubbing = true;
+        });
+        this.scrub.addEventListener('change', () => {
+            this.scrubbing = false;
+            this.player.seek(Number(this.scrub.value));
+            this.stepper.reset();
+            this.updateBar();
+        });
+
+        view.game.on('gameOver', () => this.updateButtons());
+    }
+
+    get active() {
+        return this.player !== null;
+    }
+
+    updateButtons() {
+        const hasRecording = !!this.recorder.recording;
+        this.watchBtn.disabled = !hasRecording;
+        this.exportBtn.disabled = !hasRecording;
+    }
+
+    open(recording) {
+        this.player = new ReplayPlayer(recording);
+        this.view.inputLocked = true;
+        this.view.overlay.classList.add('hidden');
+        this.bar.classList.remove('hidden');
+        this.scrub.max = String(this.player.endTick);
+        this.play();
+    }
+
+    close() {
+        this.pause();
+        this.player = null;
+        this.view.inputLocked = false;
+        this.bar.classList.add('hidden');
+        this.view.overlay.classList.remove('hidden');
+        this.view.draw();
+    }
+
+    play() {
+        // Playing from the end starts over
+        if (this.player.finished) this.player.seek(0);
+        this.playing = true;
+        this.stepper.reset();
+        this.updateBar();
+    }
+
+    pause() {
+        this.playing = false;
+        this.updateBar();
+    }
+
+    // Called from the animation loop instead of the live game's update/draw
+    frame(now) {
+        let alpha = 1;
+        if (this.playing) {
+            alpha = this.stepper.advance(now, () => this.player.step());
+            if (this.player.finished) {
+                alpha = 1;
+                this.pause();
+            }
+            this.updateBar();
+        }
+        this.view.draw(alpha, this.player.game);
+    }
+
+    updateBar() {
+        if (!this.player) return;
+        const tick = this.player.game.tick;
+        this.playBtn.textContent = this.playing ? 'Pause' : 'Play';
+        if (!this.scrubbing) this.scrub.value = String(tick);
+        this.timeLabel.textContent = `${formatTicks(tick)} / ${formatTicks(this.player.endTick)}`;
+    }
+
+    download(recording) {
+        const blob = new Blob([exportReplay(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `bricks-replay-${recording.seed}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importFile() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (!file) return;
+        try {
+            this.open(importReplay(await file.text()));
+        } catch (e) {
+            window.alert(e.message);
+        }
+    }
+}
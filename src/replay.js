@@ -0,0 +1,137 @@
+import { Game } from './game.js';
+import { validateLayout } from './layouts.js';
+
+// Only replays of this version import. Bump it whenever the same inputs would
+// play out differently: physics, the order of random draws, or what those
+// draws turn into (special brick odds and types, repair rolls).
+export const REPLAY_VERSION = 4;
+
+// Captures one match at a time: the starting size and seed plus every input
+// command with the tick it arrived on. That is all a deterministic re-run needs.
+export class Recorder {
+    constructor(game) {
+        this.game = game;
+        this.current = null;
+        this.last = null; // most recent finished match
+
+        game.on('start', () => this.begin());
+        game.on('input', (command) => this.record(command));
+        game.on('gameOver', ({ winner }) => this.finish(winner));
+    }
+
+    begin() {
+        this.current = {
+            version: REPLAY_VERSION,
+            width: this.game.width,
+            height: this.game.height,
+            seed: this.game.seed,
+            aiDifficulty: this.game.aiDifficulty,
+            cpuSide: this.game.cpuSide,
+            rules: { ...this.game.rules },
+            layout: this.game.layout,
+            inputs: [],
+            endTick: null,
+            winner: null
+        };
+    }
+
+    record(command) {
+        if (!this.current || !this.game.running) return;
+        const inputs = this.current.inputs;
+
+        // Pointers fire far more often than the simulation steps. Consecutive
+        // moves for the same side within one tick collapse to the last one,
+        // which leaves the outcome unchanged.
+        const prev = inputs[inputs.length - 1];
+        if (prev && prev.tick === command.tick && prev.type === command.type && prev.side === command.side &&
+            (command.type === 'move' || command.type === 'aim')) {
+            inputs[inputs.length - 1] = command;
+            return;
+        }
+        inputs.push(command);
+    }
+
+    finish(winner) {
+        if (!this.current) return;
+        this.current.endTick = this.game.tick;
+        this.current.winner = winner;
+        this.last = this.current;
+        this.current = null;
+    }
+
+    // The running match so far if there is one, otherwise the last finished match
+    get recording() {
+        if (this.current) return { ...this.current, endTick: this.game.tick };
+        return this.last;
+    }
+}
+
+export function exportReplay(recording) {
+    return JSON.stringify(recording);
+}
+
+// Parses and validates a replay file; throws an Error with a readable message
+export function importReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay is not valid JSON');
+    }
+    if (!data || data.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version (expected ${REPLAY_VERSION})`);
+    }
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    if (!isNum(data.width) || !isNum(data.height) || !isNum(data.seed) || !Array.isArray(data.inputs)) {
+        throw new Error('Replay is missing its size, seed or inputs');
+    }
+    if (data.inputs.some(c => !c || !isNum(c.tick) || typeof c.type !== 'string')) {
+        throw new Error('Replay contains a malformed input');
+    }
+    if (!data.rules || typeof data.rules !== 'object') throw new Error('Replay is missing its rules');
+    if (data.layout) data.layout = validateLayout(data.layout);
+    return data;
+}
+
+// Re-runs a recording through a fresh Game. Seeking backwards restarts the
+// match from tick 0, which is cheap because the simulation is deterministic.
+export class ReplayPlayer {
+    constructor(recording) {
+        this.recording = recording;
+        this.reset();
+    }
+
+    reset() {
+        const { width, height, seed, aiDifficulty, cpuSide, rules, layout } = this.recording;
+        this.game = new Game({ width, height, seed, aiDifficulty, cpuSide, rules, layout });
+        this.game.start();
+        this.cursor = 0;
+    }
+
+    // Last tick of the replay; unfinished recordings end at their last input
+    get endTick() {
+        const { endTick, inputs } = this.recording;
+        if (endTick !== null && endTick !== undefined) return endTick;
+        return inputs.length > 0 ? inputs[inputs.length - 1].tick : 0;
+    }
+
+    get finished() {
+        return !this.game.running || this.game.tick >= this.endTick;
+    }
+
+    step() {
+        if (this.finished) return;
+        const inputs = this.recording.inputs;
+        while (this.cursor < inputs.length && inputs[this.cursor].tick <= this.game.tick) {
+            this.game.input(inputs[this.cursor]);
+            this.cursor++;
+        }
+        this.game.update();
+    }
+
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.endTick, Math.round(tick)));
+        if (target < this.game.tick) this.reset();
+        while (this.game.tick < target && !this.finished) this.step();
+    }
+}
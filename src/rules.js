@@ -0,0 +1,104 @@
+import { SPAWNABLE_POWER_UPS } from './powerups.js';
+
+// Gameplay tuning as one plain object, so a match can be played under house
+// rules and a replay carries the exact rules it was recorded with.
+// Times are in ms of simulation clock, sizes in px.
+export const RULE_FIELDS = [
+    { key: 'aiThreshold', label: 'AI takes over after idle (s)', min: 2000, max: 60000, step: 1000, scale: 1000 },
+    { key: 'specialOnRepairChance', label: 'Special brick chance on repair (%)', min: 0, max: 0.5, step: 0.01, scale: 0.01 },
+    { key: 'armoredOnRepairChance', label: 'Armored brick chance on repair (%)', min: 0, max: 0.5, step: 0.01, scale: 0.01 },
+    { key: 'steelOnRepairChance', label: 'Steel brick chance on repair (%)', min: 0, max: 0.2, step: 0.01, scale: 0.01 },
+    { key: 'maxBrickWidth', label: 'Max brick width', min: 30, max: 120, step: 5 },
+    { key: 'brickHeight', label: 'Brick height', min: 15, max: 40, step: 1 },
+    { key: 'bounceGrowthFactor', label: 'Speed gain per paddle bounce (%)', min: 0, max: 0.2, step: 0.005, scale: 0.01 },
+    { key: 'maxBallSpeed', label: 'Max ball speed (px/tick)', min: 4, max: 16, step: 1 },
+    { key: 'paddleWidth', label: 'Paddle width', min: 40, max: 300, step: 10 },
+    { key: 'paddleMinWidth', label: 'Shrunk paddle min width', min: 20, max: 300, step: 10 },
+    { key: 'paddleMaxWidth', label: 'Enlarged paddle max width', min: 40, max: 400, step: 10 },
+    { key: 'powerUpDuration', label: 'Power-up duration (s)', min: 1000, max: 60000, step: 1000, scale: 1000 }
+];
+
+// How balls treat each other: pass through, collide only with the other
+// player's balls, or collide with every ball
+export const BALL_COLLISIONS = {
+    off: 'Off',
+    opponents: 'Red vs blue',
+    all: 'All balls'
+};
+
+// The original hardcoded values; brick armor and ball collisions are off
+export const DEFAULT_RULES = {
+    aiThreshold: 10000,
+    specialOnRepairChance: 0.06,
+    armoredOnRepairChance: 0,
+    steelOnRepairChance: 0,
+    maxBrickWidth: 60,
+    brickHeight: 25,
+    bounceGrowthFactor: 0.035,
+    maxBallSpeed: 12,
+    paddleWidth: 120,
+    paddleMinWidth: 60,
+    paddleMaxWidth: 240,
+    powerUpDuration: 10000,
+    disabledPowerUps: [], // power-up types repairs never spawn
+    ballCollisions: 'off'
+};
+
+export const PRESETS = {
+    classic: { label: 'Classic', rules: DEFAULT_RULES },
+    // Lots of specials, fast balls and small bricks
+    chaos: {
+        label: 'Chaos',
+        rules: {
+            ...DEFAULT_RULES,
+            specialOnRepairChance: 0.3,
+            armoredOnRepairChance: 0.1,
+            steelOnRepairChance: 0.03,
+            maxBrickWidth: 45,
+            brickHeight: 20,
+            bounceGrowthFactor: 0.08,
+            maxBallSpeed: 16,
+            paddleWidth: 100,
+            paddleMinWidth: 40,
+            paddleMaxWidth: 300,
+            powerUpDuration: 6000,
+            ballCollisions: 'all'
+        }
+    },
+    // Slow, steady rallies and more rows for the wall to travel
+    marathon: {
+        label: 'Marathon',
+        rules: {
+            ...DEFAULT_RULES,
+            specialOnRepairChance: 0.03,
+            armoredOnRepairChance: 0.12,
+            steelOnRepairChance: 0.02,
+            maxBrickWidth: 80,
+            brickHeight: 18,
+            bounceGrowthFactor: 0.015,
+            maxBallSpeed: 9,
+            paddleWidth: 140,
+            paddleMinWidth: 80,
+            paddleMaxWidth: 220,
+            powerUpDuration: 15000,
+            disabledPowerUps: ['piercing']
+        }
+    }
+};
+
+// Fills in missing values and clamps everything to the ranges above, so rules
+// from storage or an imported replay can't break the simulation
+export function resolveRules(rules) {
+    const resolved = {};
+    for (const { key, min, max } of RULE_FIELDS) {
+        const value = (rules || {})[key];
+        resolved[key] = (typeof value === 'number' && Number.isFinite(value)) ? Math.max(min, Math.min(max, value)) : DEFAULT_RULES[key];
+    }
+    resolved.paddleMinWidth = Math.min(resolved.paddleMinWidth, resolved.paddleWidth);
+    resolved.paddleMaxWidth = Math.max(resolved.paddleMaxWidth, resolved.paddleWidth);
+    const disabled = (rules || {}).disabledPowerUps;
+    resolved.disabledPowerUps = Array.isArray(disabled) ? SPAWNABLE_POWER_UPS.filter(type => disabled.includes(type)) : [];
+    const collisions = (rules || {}).ballCollisions;
+    resolved.ballCollisions = Object.hasOwn(BALL_COLLISIONS, collisions) ? collisions : DEFAULT_RULES.ballCollisions;
+    return resolved;
+}
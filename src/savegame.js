@@ -0,0 +1,317 @@
+import { Ball } from './ball.js';
+import { Brick, cellKey } from './wall.js';
+import { Random } from './random.js';
+import { resolveRules } from './rules.js';
+import { validateLayout } from './layouts.js';
+import { POWER_UPS } from './powerups.js';
+import { REPLAY_VERSION } from './replay.js';
+
+// A match in progress, saved when the page goes away and offered back on the
+// next load. Bump SAVE_VERSION whenever the shape below or the simulation
+// changes in a way that would make an old save play out differently.
+export const SAVE_FORMAT = 'bricks4two-save';
+export const SAVE_VERSION = 3;
+
+const STORAGE_KEY = 'bricks4two.save';
+const SIDES = ['top', 'bottom'];
+const BALL_COLORS = { top: '#ff6b6b', bottom: '#6ba5ff' };
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isInt = (v) => Number.isInteger(v);
+// JSON has no Infinity; the AI uses -Infinity for "never decided"
+const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+
+function damaged(what) {
+    return new Error(`Saved match is damaged (${what})`);
+}
+
+// Everything the simulation needs to carry on exactly where it stopped
+export function serializeMatch(game) {
+    const { wall } = game;
+    const paddle = (p) => ({
+        x: p.x, prevX: p.prevX, width: p.width,
+        widthExpiry: p.widthExpiry, widthDuration: p.widthDuration,
+        sticky: p.sticky, shielded: p.shielded
+    });
+    const ball = (b) => ({
+        x: b.x, y: b.y, prevX: b.prevX, prevY: b.prevY, vx: b.vx, vy: b.vy,
+        gameSpeed: b.gameSpeed, maxGameSpeed: b.maxGameSpeed, launchSpeed: b.launchSpeed,
+        active: b.active, isExtra: b.isExtra, pierce: b.pierce
+    });
+    const ai = (c) => ({
+        decisionAt: finiteOrNull(c.decisionAt), targetX: c.targetX,
+        trackingSpeed: c.trackingSpeed, aimError: c.aimError
+    });
+
+    return {
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        width: game.width,
+        height: game.height,
+        seed: game.seed,
+        rngState: game.rng.state,
+        tick: game.tick,
+        clock: game.clock,
+        rules: { ...game.rules },
+        layout: game.layout,
+        aiDifficulty: game.aiDifficulty,
+        cpuSide: game.cpuSide,
+        seriesLength: game.seriesLength,
+        matchesWonTop: game.matchesWonTop,
+        matchesWonBottom: game.matchesWonBottom,
+        isAiTop: game.isAiTop,
+        isAiBottom: game.isAiBottom,
+        aiThreshold: game.aiThreshold,
+        lastActionTop: game.lastActionTop,
+        lastActionBottom: game.lastActionBottom,
+        lastSpawnedExtraAt: game._lastSpawnedExtraAt,
+        wall: {
+            maxBrickWidth: wall.maxBrickWidth,
+            brickWidth: wall.brickWidth,
+            brickHeight: wall.brickHeight,
+            baselineMiddleRow: wall.baselineMiddleRow,
+            masterMinCol: wall.masterMinCol,
+            masterMaxCol: wall.masterMaxCol,
+            specialOnRepairChance: wall.specialOnRepairChance,
+            bricks: Array.from(wall.activeBrickMap.values(), b => ({
+                row: b.rowCoordinate, col: b.columnCoordinate, type: b.type,
+                hp: b.hp, maxHp: b.maxHp, steel: b.steel, inert: b.inertFromSide
+            }))
+        },
+        paddles: { top: paddle(game.paddleTop), bottom: paddle(game.paddleBottom) },
+        balls: { top: game.ballsTop.map(ball), bottom: game.ballsBottom.map(ball) },
+        ai: { top: ai(game.ai.top), bottom: ai(game.ai.bottom) }
+    };
+}
+
+// Checks a parsed save; throws an Error with a readable message. Nothing is
+// touched until the whole save has been checked.
+export function validateSave(data) {
+    if (!data || data.format !== SAVE_FORMAT) throw new Error('Not a saved match');
+    if (data.version !== SAVE_VERSION) throw new Error('Saved match is from another version of the game');
+
+    for (const key of ['width', 'height', 'tick', 'clock', 'seed', 'rngState', 'aiThreshold', 'lastActionTop', 'lastActionBottom', 'lastSpawnedExtraAt']) {
+        if (!isNum(data[key])) throw damaged(key);
+    }
+    if (data.cpuSide !== null && !SIDES.includes(data.cpuSide)) throw damaged('cpuSide');
+    if (data.layout) data.layout = validateLayout(data.layout);
+
+    const wall = data.wall;
+    if (!wall || !Array.isArray(wall.bricks) || wall.bricks.length === 0) throw damaged('wall');
+    for (const key of ['maxBrickWidth', 'brickWidth', 'brickHeight', 'baselineMiddleRow', 'masterMinCol', 'masterMaxCol', 'specialOnRepairChance']) {
+        if (!isNum(wall[key])) throw damaged(`wall ${key}`);
+    }
+    const cells = new Set();
+    for (const b of wall.bricks) {
+        if (!b || !isInt(b.row) || !isInt(b.col) || !isInt(b.hp) || !isInt(b.maxHp) || b.hp < 1) throw damaged('brick');
+        if (b.type !== null && !Object.hasOwn(POWER_UPS, b.type)) throw damaged('brick type');
+        if (b.inert !== null && !SIDES.includes(b.inert)) throw damaged('brick inert side');
+        const key = cellKey(b.row, b.col);
+        if (cells.has(key)) throw damaged('two bricks in one cell');
+        cells.add(key);
+    }
+
+    for (const side of SIDES) {
+        const p = data.paddles && data.paddles[side];
+        if (!p || !['x', 'prevX', 'width', 'widthExpiry', 'widthDuration'].every(k => isNum(p[k]))) throw damaged(`${side} paddle`);
+        const balls = data.balls && data.balls[side];
+        if (!Array.isArray(balls) || balls.length === 0) throw damaged(`${side} balls`);
+        for (const b of balls) {
+            if (!b || !['x', 'y', 'prevX', 'prevY', 'vx', 'vy', 'gameSpeed', 'maxGameSpeed', 'launchSpeed', 'pierce'].every(k => isNum(b[k]))) {
+                throw damaged(`${side} ball`);
+            }
+        }
+        if (!data.ai || !data.ai[side]) throw damaged(`${side} AI`);
+    }
+    return data;
+}
+
+// Puts a validated save into a game that isn't running, then emits 'restore'
+// so views can pick the match up like a freshly started one
+export function restoreMatch(game, data) {
+    game.width = data.width;
+    game.height = data.height;
+    game.rules = resolveRules(data.rules);
+    game.layout = data.layout || null;
+    game.setAiDifficulty(data.aiDifficulty);
+    game.cpuSide = data.cpuSide;
+
+    game.seriesLength = data.seriesLength || null;
+    game.matchesWonTop = data.matchesWonTop;
+    game.matchesWonBottom = data.matchesWonBottom;
+    game.seriesWinner = null;
+
+    game.seed = data.seed;
+    game.pendingSeed = null;
+    game.rng = new Random(data.seed);
+    game.rng.state = data.rngState >>> 0;
+    game.tick = data.tick;
+    game.clock = data.clock;
+
+    game.isAiTop = !!data.isAiTop;
+    game.isAiBottom = !!data.isAiBottom;
+    game.aiThreshold = data.aiThreshold;
+    game.lastActionTop = data.lastActionTop;
+    game.lastActionBottom = data.lastActionBottom;
+    game._lastSpawnedExtraAt = data.lastSpawnedExtraAt;
+    game.winData = null;
+    game.aiming = { top: null, bottom: null };
+
+    const wall = game.wall;
+    Object.assign(wall, {
+        maxBrickWidth: data.wall.maxBrickWidth,
+        brickWidth: data.wall.brickWidth,
+        columnSpacing: data.wall.brickWidth,
+        brickHeight: data.wall.brickHeight,
+        baselineMiddleRow: data.wall.baselineMiddleRow,
+        masterMinCol: data.wall.masterMinCol,
+        masterMaxCol: data.wall.masterMaxCol,
+        specialOnRepairChance: data.wall.specialOnRepairChance
+    });
+    wall.clearBricks();
+    for (const b of data.wall.bricks) {
+        const brick = new Brick(b.row, b.col, wall.brickHeight, wall.brickWidth, b.type || null);
+        brick.hp = b.hp;
+        brick.maxHp = Math.max(b.hp, b.maxHp);
+        brick.steel = !!b.steel;
+        wall.activeBrickMap.set(cellKey(b.row, b.col), brick);
+    }
+    wall.analyzeTopology();
+    wall.updateInertFlags();
+    for (const b of data.wall.bricks) {
+        wall.brickAt(b.row, b.col).inertFromSide = b.inert;
+    }
+
+    for (const side of SIDES) {
+        const paddle = side === 'top' ? game.paddleTop : game.paddleBottom;
+        paddle.reset();
+        Object.assign(paddle, {
+            x: data.paddles[side].x,
+            prevX: data.paddles[side].prevX,
+            width: data.paddles[side].width,
+            widthExpiry: data.paddles[side].widthExpiry,
+            widthDuration: data.paddles[side].widthDuration,
+            sticky: !!data.paddles[side].sticky,
+            shielded: !!data.paddles[side].shielded
+        });
+
+        const balls = data.balls[side].map((saved) => {
+            const ball = new Ball(game, side, BALL_COLORS[side]);
+            Object.assign(ball, {
+                x: saved.x, y: saved.y, prevX: saved.prevX, prevY: saved.prevY, vx: saved.vx, vy: saved.vy,
+                gameSpeed: saved.gameSpeed, maxGameSpeed: saved.maxGameSpeed, launchSpeed: saved.launchSpeed,
+                active: !!saved.active, isExtra: !!saved.isExtra, pierce: saved.pierce
+            });
+            return ball;
+        });
+        if (side === 'top') game.ballsTop = balls;
+        else game.ballsBottom = balls;
+
+        const ai = data.ai[side];
+        const controller = game.ai[side];
+        controller.reset();
+        if (isNum(ai.decisionAt)) controller.decisionAt = ai.decisionAt;
+        controller.targetX = isNum(ai.targetX) ? ai.targetX : null;
+        if (isNum(ai.trackingSpeed)) controller.trackingSpeed = ai.trackingSpeed;
+        if (isNum(ai.aimError)) controller.aimError = ai.aimError;
+    }
+
+    game.running = true;
+    game.paused = false;
+    game.emit('restore');
+}
+
+// Browser side: writes the running match to localStorage when the page is
+// hidden for good and offers it back on the overlay the next time. The
+// recording and the stats gathered so far travel with it, so the resumed
+// match still ends up in the history and can be watched or exported.
+export class MatchSaver {
+    constructor(view, recorder, history) {
+        this.view = view;
+        this.game = view.game;
+        this.recorder = recorder;
+        this.history = history;
+        // Rules and wall picked for new matches, kept aside while a resumed match plays
+        this.nextMatch = null;
+
+        this.button = document.getElementById('resume-btn');
+        this.button.addEventListener('pointerdown', (e) => e.stopPropagation());
+        this.button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.resume();
+        });
+
+        window.addEventListener('pagehide', () => this.save());
+        this.game.on('start', () => this.clear());
+        this.game.on('gameOver', () => {
+            this.clear();
+            if (!this.nextMatch) return;
+            this.game.setRules(this.nextMatch.rules);
+            this.game.setLayout(this.nextMatch.layout);
+            this.nextMatch = null;
+        });
+
+        this.pending = this.load();
+        this.button.hidden = !this.pending;
+    }
+
+    // A save that doesn't validate is dropped, so it is only reported once
+    load() {
+        let text = null;
+        try {
+            text = window.localStorage.getItem(STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+        if (!text) return null;
+        try {
+            return validateSave(JSON.parse(text));
+        } catch (e) {
+            this.clear();
+            this.view.seedLabel.textContent = e instanceof SyntaxError ? 'Saved match is damaged and was discarded' : `${e.message}; it was discarded`;
+            return null;
+        }
+    }
+
+    save() {
+        const game = this.game;
+        if (!game.running || game.winData) return;
+        const data = serializeMatch(game);
+        data.recording = this.recorder.current;
+        data.stats = this.history.current;
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {
+            // Storage full or refused; the match is simply lost
+        }
+    }
+
+    clear() {
+        this.pending = null;
+        this.button.hidden = true;
+        try {
+            window.localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            // Nothing to clear
+        }
+    }
+
+    resume() {
+        const data = this.pending;
+        const game = this.game;
+        if (!data || game.running) return;
+        this.clear();
+
+        this.nextMatch = { rules: game.rules, layout: game.layout };
+        restoreMatch(game, data);
+        // Replays start from tick 0, so a recording from an older format can't continue
+        const recording = data.recording;
+        this.recorder.current = (recording && recording.version === REPLAY_VERSION && Array.isArray(recording.inputs)) ? recording : null;
+        if (data.stats && data.stats.bricksDestroyed) this.history.current = data.stats;
+
+        // Fit the saved match to this screen, then hold it until the players are ready
+        game.input({ type: 'resize', width: this.view.width, height: this.view.height });
+        game.input({ type: 'pause' });
+    }
+}
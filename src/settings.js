@@ -0,0 +1,217 @@
+import { RULE_FIELDS, PRESETS, BALL_COLLISIONS, resolveRules } from './rules.js';
+import { POWER_UPS, SPAWNABLE_POWER_UPS } from './powerups.js';
+
+const STORAGE_KEY = 'bricks4two.rules';
+const DEFAULT_CUSTOM_NAME = 'House rules';
+
+// Saved as { selected: 'preset:<id>' | 'custom:<name>', custom: { name: rules } }
+function loadState() {
+    try {
+        const data = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        if (data && typeof data.selected === 'string' && data.custom && typeof data.custom === 'object') return data;
+    } catch (e) {
+        // Unreadable or blocked storage falls back to the defaults
+    }
+    return { selected: 'preset:classic', custom: {} };
+}
+
+// Display value for a rule (seconds, percent) and back
+const toDisplay = (field, value) => Number((value / (field.scale || 1)).toPrecision(6));
+const fromDisplay = (field, value) => value * (field.scale || 1);
+
+// Rule set picker and editor behind the overlay's Rules button. Presets are
+// read-only: editing one starts a custom copy. Custom sets are written to
+// localStorage as they change, together with the current choice.
+export class SettingsPanel {
+    constructor(view) {
+        this.view = view;
+        this.game = view.game;
+        this.state = loadState();
+
+        this.openBtn = document.getElementById('settings-btn');
+        this.panel = document.getElementById('settings-panel');
+        this.ruleSetSelect = document.getElementById('settings-ruleset');
+        this.nameInput = document.getElementById('settings-name');
+        this.fieldsEl = document.getElementById('settings-fields');
+        this.powerUpsEl = document.getElementById('settings-powerups');
+        this.deleteBtn = document.getElementById('settings-delete-btn');
+        this.closeBtn = document.getElementById('settings-close-btn');
+
+        this.openBtn.addEventListener('pointerdown', (e) => e.stopPropagation());
+        this.openBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.open();
+        });
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+        this.ruleSetSelect.addEventListener('change', () => this.select(this.ruleSetSelect.value));
+        this.nameInput.addEventListener('change', () => this.rename(this.nameInput.value));
+
+        this.inputs = new Map(); // rule key -> <input>
+        for (const field of RULE_FIELDS) {
+            const label = document.createElement('label');
+            label.className = 'settings-field';
+            label.textContent = field.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = String(toDisplay(field, field.min));
+            input.max = String(toDisplay(field, field.max));
+            input.step = String(toDisplay(field, field.step));
+            input.addEventListener('change', () => this.edit({ [field.key]: fromDisplay(field, Number(input.value)) }));
+            label.appendChild(input);
+            this.fieldsEl.appendChild(label);
+            this.inputs.set(field.key, input);
+        }
+
+        const collisionsLabel = document.createElement('label');
+        collisionsLabel.className = 'settings-field';
+        collisionsLabel.textContent = 'Ball collisions';
+        this.collisionsSelect = document.createElement('select');
+        for (const [value, text] of Object.entries(BALL_COLLISIONS)) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            this.collisionsSelect.appendChild(opt);
+        }
+        this.collisionsSelect.addEventListener('change', () => this.edit({ ballCollisions: this.collisionsSelect.value }));
+        collisionsLabel.appendChild(this.collisionsSelect);
+        this.fieldsEl.appendChild(collisionsLabel);
+
+        this.toggles = new Map(); // power-up type -> checkbox
+        for (const type of SPAWNABLE_POWER_UPS) {
+            const label = document.createElement('label');
+            label.className = 'settings-powerup';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.addEventListener('change', () => this.togglePowerUp(type, input.checked));
+            const swatch = document.createElement('span');
+            swatch.className = 'settings-swatch';
+            swatch.style.background = POWER_UPS[type].color;
+            label.append(input, swatch, POWER_UPS[type].label);
+            this.powerUpsEl.appendChild(label);
+            this.toggles.set(type, input);
+        }
+
+        const known = this.rulesFor(this.state.selected);
+        this.select(known ? this.state.selected : 'preset:classic');
+    }
+
+    get selectedName() {
+        const [kind, id] = this.splitId(this.state.selected);
+        return (kind === 'preset') ? PRESETS[id].label : id;
+    }
+
+    splitId(id) {
+        const at = id.indexOf(':');
+        return [id.slice(0, at), id.slice(at + 1)];
+    }
+
+    rulesFor(id) {
+        const [kind, name] = this.splitId(id);
+        if (kind === 'preset') return PRESETS[name] ? PRESETS[name].rules : null;
+        if (kind === 'custom') return this.state.custom[name] || null;
+        return null;
+    }
+
+    open() {
+        this.render();
+        this.panel.classList.remove('hidden');
+    }
+
+    close() {
+        this.panel.classList.add('hidden');
+    }
+
+    // Makes a rule set current: applied to the next match and remembered
+    select(id) {
+        this.state.selected = id;
+        this.game.setRules(this.rulesFor(id));
+        this.save();
+        this.render();
+    }
+
+    edit(changes) {
+        const [kind, name] = this.splitId(this.state.selected);
+        const rules = { ...this.game.rules, ...changes };
+
+        if (kind === 'preset') {
+            // Leave the preset alone and carry on in a new custom set
+            const copyName = this.uniqueName(DEFAULT_CUSTOM_NAME);
+            this.state.custom[copyName] = resolveRules(rules);
+            this.select(`custom:${copyName}`);
+        } else {
+            this.state.custom[name] = resolveRules(rules);
+            this.select(this.state.selected);
+        }
+    }
+
+    togglePowerUp(type, enabled) {
+        const disabled = this.game.rules.disabledPowerUps.filter(t => t !== type);
+        if (!enabled) disabled.push(type);
+        this.edit({ disabledPowerUps: disabled });
+    }
+
+    rename(newName) {
+        const [kind, name] = this.splitId(this.state.selected);
+        const trimmed = newName.trim();
+        if (kind !== 'custom' || !trimmed || trimmed === name) {
+            this.render();
+            return;
+        }
+        const finalName = this.uniqueName(trimmed);
+        this.state.custom[finalName] = this.state.custom[name];
+        delete this.state.custom[name];
+        this.select(`custom:${finalName}`);
+    }
+
+    deleteSelected() {
+        const [kind, name] = this.splitId(this.state.selected);
+        if (kind !== 'custom') return;
+        delete this.state.custom[name];
+        this.select('preset:classic');
+    }
+
+    uniqueName(base) {
+        let name = base;
+        for (let n = 2; this.state.custom[name]; n++) name = `${base} ${n}`;
+        return name;
+    }
+
+    save() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+        } catch (e) {
+            // Private browsing can refuse storage; the rules still apply this session
+        }
+    }
+
+    render() {
+        const select = this.ruleSetSelect;
+        select.innerHTML = '';
+        const addOption = (value, text) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            select.appendChild(opt);
+        };
+        for (const [id, preset] of Object.entries(PRESETS)) addOption(`preset:${id}`, preset.label);
+        for (const name of Object.keys(this.state.custom)) addOption(`custom:${name}`, name);
+        select.value = this.state.selected;
+
+        const isCustom = this.splitId(this.state.selected)[0] === 'custom';
+        this.nameInput.value = isCustom ? this.selectedName : '';
+        this.nameInput.disabled = !isCustom;
+        this.nameInput.placeholder = isCustom ? '' : 'Edit a value to make your own';
+        this.deleteBtn.disabled = !isCustom;
+
+        for (const field of RULE_FIELDS) {
+            this.inputs.get(field.key).value = String(toDisplay(field, this.game.rules[field.key]));
+        }
+        this.collisionsSelect.value = this.game.rules.ballCollisions;
+        for (const [type, input] of this.toggles) {
+            input.checked = !this.game.rules.disabledPowerUps.includes(type);
+        }
+
+        this.openBtn.textContent = `Rules: ${this.selectedName}`;
+    }
+}
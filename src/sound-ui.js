@@ -0,0 +1,39 @@
+// Mute button, volume slider and the M key for the sound engine
+export class SoundControls {
+    constructor(engine) {
+        this.engine = engine;
+        this.muteBtn = document.getElementById('mute-btn');
+        this.volumeInput = document.getElementById('volume');
+
+        // Browsers only allow audio after a gesture; capture so no control can swallow it
+        const unlock = () => engine.unlock();
+        window.addEventListener('pointerdown', unlock, true);
+        window.addEventListener('keydown', unlock, true);
+
+        const group = this.muteBtn.parentElement;
+        group.addEventListener('pointerdown', (e) => e.stopPropagation());
+        group.addEventListener('click', (e) => e.stopPropagation());
+
+        this.muteBtn.addEventListener('click', () => this.toggleMute());
+        this.volumeInput.addEventListener('input', () => {
+            engine.setVolume(Number(this.volumeInput.value));
+            if (engine.muted && engine.volume > 0) engine.setMuted(false);
+            this.render();
+        });
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'KeyM' && !e.repeat && e.target.tagName !== 'INPUT') this.toggleMute();
+        });
+
+        this.render();
+    }
+
+    toggleMute() {
+        this.engine.setMuted(!this.engine.muted);
+        this.render();
+    }
+
+    render() {
+        this.muteBtn.textContent = this.engine.muted ? 'Sound off' : 'Sound on';
+        this.volumeInput.value = String(this.engine.volume);
+    }
+}
@@ -0,0 +1,137 @@
+import { POWER_UPS } from './powerups.js';
+
+const STORAGE_KEY = 'bricks4two.sound';
+const MAX_VOICES = 8; // tones sounding at once; more are dropped
+
+const clampVolume = (volume) => Math.max(0, Math.min(1, volume));
+
+// Tiny synthesizer: every sound is one or more oscillator tones with a pitch
+// slide and a short envelope, so no audio files are needed. The AudioContext
+// is created on the first user gesture, as browsers require.
+export class SoundEngine {
+    constructor() {
+        this.ctx = null;
+        this.master = null;
+        this.voices = []; // end times of scheduled tones
+        const saved = this.load();
+        this.volume = saved.volume;
+        this.muted = saved.muted;
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            if (data && typeof data.volume === 'number') return { volume: clampVolume(data.volume), muted: !!data.muted };
+        } catch (e) {
+            // Fall through to the defaults
+        }
+        return { volume: 0.6, muted: false };
+    }
+
+    save() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ volume: this.volume, muted: this.muted }));
+        } catch (e) {
+            // Not worth failing over
+        }
+    }
+
+    // Call from a user gesture; later calls resume a suspended context
+    unlock() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        if (!this.ctx) {
+            this.ctx = new AudioContext();
+            this.master = this.ctx.createGain();
+            this.master.connect(this.ctx.destination);
+            this.applyVolume();
+        }
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+    }
+
+    setVolume(volume) {
+        this.volume = clampVolume(volume);
+        this.applyVolume();
+        this.save();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume();
+        this.save();
+    }
+
+    applyVolume() {
+        if (this.master) this.master.gain.value = this.muted ? 0 : this.volume;
+    }
+
+    // One tone: { type, freq, endFreq, duration, gain, delay } (seconds)
+    tone({ type = 'sine', freq, endFreq = freq, duration = 0.1, gain = 0.3, delay = 0 }) {
+        if (!this.ctx || this.muted || this.volume === 0) return;
+        const now = this.ctx.currentTime;
+        this.voices = this.voices.filter(end => end > now);
+        if (this.voices.length >= MAX_VOICES) return;
+
+        const start = now + delay;
+        const end = start + duration;
+        this.voices.push(end);
+
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+        if (endFreq !== freq) osc.frequency.exponentialRampToValueAtTime(endFreq, end);
+        env.gain.setValueAtTime(0.0001, start);
+        env.gain.exponentialRampToValueAtTime(gain, start + Math.min(0.01, duration / 4));
+        env.gain.exponentialRampToValueAtTime(0.0001, end);
+        osc.connect(env);
+        env.connect(this.master);
+        osc.start(start);
+        osc.stop(end + 0.02);
+    }
+
+    // Several tones in a row, e.g. an arpeggio
+    sequence(freqs, { step = 0.08, ...tone } = {}) {
+        freqs.forEach((freq, i) => this.tone({ ...tone, freq, delay: i * step }));
+    }
+}
+
+// Maps game events to sounds; each power-up brings its own
+export class SoundEffects {
+    constructor(game, engine = new SoundEngine()) {
+        this.game = game;
+        this.engine = engine;
+        const s = engine;
+
+        game.on('paddleBounce', ({ ball }) => {
+            // Faster balls bounce higher
+            const t = ball.maxGameSpeed ? ball.gameSpeed / ball.maxGameSpeed : 0;
+            s.tone({ type: 'triangle', freq: 220 + t * 440, duration: 0.07, gain: 0.35 });
+        });
+        game.on('brickDestroyed', () => {
+            s.tone({ type: 'square', freq: 520, endFreq: 260, duration: 0.07, gain: 0.15 });
+        });
+        game.on('brickHit', ({ brick }) => {
+            if (brick.steel) s.tone({ type: 'square', freq: 1400, endFreq: 1200, duration: 0.05, gain: 0.1 });
+            else s.tone({ type: 'square', freq: 380, endFreq: 320, duration: 0.06, gain: 0.15 });
+        });
+        game.on('ballCollision', () => {
+            s.tone({ type: 'triangle', freq: 660, endFreq: 520, duration: 0.05, gain: 0.2 });
+        });
+        game.on('brickRepaired', () => {
+            s.tone({ type: 'sine', freq: 300, endFreq: 600, duration: 0.15, gain: 0.2 });
+        });
+        game.on('powerUp', ({ type }) => {
+            if (POWER_UPS[type]) POWER_UPS[type].sound(s);
+        });
+        game.on('shieldUsed', () => {
+            s.tone({ type: 'sine', freq: 880, endFreq: 1320, duration: 0.2, gain: 0.25 });
+        });
+        game.on('ballLost', () => {
+            s.tone({ type: 'sawtooth', freq: 300, endFreq: 80, duration: 0.4, gain: 0.2 });
+        });
+        game.on('gameOver', () => {
+            s.sequence([523, 659, 784, 1047], { type: 'triangle', duration: 0.18, step: 0.14, gain: 0.3 });
+        });
+    }
+}
@@ -0,0 +1,90 @@
+import { summarizeHistory } from './history.js';
+
+const SIDE_NAMES = { top: 'Red', bottom: 'Blue' };
+
+const formatMs = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+const formatStreak = ({ side, length }) => (side ? `${SIDE_NAMES[side]} ×${length}` : '–');
+
+// Stats screen behind the overlay's Stats button, with export and clear
+export class StatsScreen {
+    constructor(view, history) {
+        this.view = view;
+        this.history = history;
+
+        this.openBtn = document.getElementById('stats-btn');
+        this.panel = document.getElementById('stats-panel');
+        this.body = document.getElementById('stats-body');
+        this.exportBtn = document.getElementById('stats-export-btn');
+        this.clearBtn = document.getElementById('stats-clear-btn');
+        this.closeBtn = document.getElementById('stats-close-btn');
+
+        this.openBtn.addEventListener('pointerdown', (e) => e.stopPropagation());
+        this.openBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.open();
+        });
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.exportBtn.addEventListener('click', () => this.download());
+        this.clearBtn.addEventListener('click', () => {
+            if (!window.confirm('Delete the whole match history?')) return;
+            this.history.clear();
+            this.render();
+        });
+    }
+
+    open() {
+        this.render();
+        this.panel.classList.remove('hidden');
+    }
+
+    close() {
+        this.panel.classList.add('hidden');
+    }
+
+    render() {
+        const s = summarizeHistory(this.history.entries);
+        const rows = [
+            ['Matches played', s.matches],
+            ['Red wins', `${s.wins.top} (${formatRate(s.winRate.top)})`],
+            ['Blue wins', `${s.wins.bottom} (${formatRate(s.winRate.bottom)})`],
+            ['Average match', formatMs(s.averageMs)],
+            ['Longest match', formatMs(s.longestMs)],
+            ['Current streak', formatStreak(s.streak)],
+            ['Best streak', formatStreak(s.bestStreak)],
+            ['Bricks broken (Red / Blue)', `${s.bricksDestroyed.top} / ${s.bricksDestroyed.bottom}`],
+            ['Matches with AI takeover', s.aiMatches]
+        ];
+        if (s.solo.matches > 0) {
+            rows.push(
+                ['You vs CPU', `${s.solo.wins} – ${s.solo.matches - s.solo.wins} (${formatRate(s.solo.winRate)})`],
+                ['Your win streak (best)', `${s.solo.streak} (${s.solo.bestStreak})`]
+            );
+        }
+
+        this.body.innerHTML = '';
+        for (const [label, value] of rows) {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = String(value);
+            this.body.append(dt, dd);
+        }
+        const empty = this.history.entries.length === 0;
+        this.exportBtn.disabled = empty;
+        this.clearBtn.disabled = empty;
+    }
+
+    download() {
+        const blob = new Blob([this.history.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'bricks-history.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,445 @@
+// Thin browser adapter around the headless Game core: owns the canvas,
+// overlay and score areas and turns pointer events into game commands.
+import { AI_TIERS } from './ai.js';
+import { Effects } from './effects.js';
+import { Hud } from './hud.js';
+
+export class GameView {
+    constructor(canvas, game) {
+        this.canvas = canvas;
+        this.game = game;
+        this.ctx = canvas.getContext('2d', { alpha: false }); // Performance optimization
+        this.width = 0;
+        this.height = 0;
+        // Set while a replay is on screen so stray touches can't reach the live game
+        this.inputLocked = false;
+        // Each active pointer stays bound to the half it went down in, and each
+        // side remembers which pointer (if any) is aiming for it
+        this.pointerSides = new Map(); // pointerId -> side
+        this.aimPointers = { top: null, bottom: null };
+        this.effects = new Effects(game);
+        this.hud = new Hud();
+
+        // Initial launch on first tap on overlay
+        this.onFirstTap = () => {
+            if (!this.game.running) {
+                this.game.start();
+                this.overlay.removeEventListener('pointerdown', this.onFirstTap);
+            }
+        };
+
+        this.resize();
+        this.initUI();
+        this.initInput();
+
+        this.game.on('start', () => this.onStart());
+        this.game.on('restore', () => this.onRestore());
+        // Pausing drops any aim in progress; the finger has to start over
+        this.game.on('pause', () => {
+            this.aimPointers = { top: null, bottom: null };
+        });
+        this.game.on('gameOver', (result) => this.onGameOver(result));
+    }
+
+    // Converts a pointer event to canvas-local CSS pixels
+    toLocal(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    // Which player a touch at y controls; in single-player every touch is the human's
+    sideFor(y) {
+        const { cpuSide } = this.game;
+        if (cpuSide) return cpuSide === 'top' ? 'bottom' : 'top';
+        return this.game.sideAt(y);
+    }
+
+    initInput() {
+        const game = this.game;
+
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        // Prevent default touch gestures that may trigger browser navigation (edge swipes, back/forward)
+        this.canvas.addEventListener('touchstart', (e) => { e.preventDefault(); }, { passive: false });
+        this.canvas.addEventListener('touchmove', (e) => { e.preventDefault(); }, { passive: false });
+        this.canvas.addEventListener('touchend', (e) => { e.preventDefault(); }, { passive: false });
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.inputLocked) return;
+            const { x, y } = this.toLocal(e);
+
+            // The touch belongs to the half it started in, wherever it slides to
+            const side = this.sideFor(y);
+            this.pointerSides.set(e.pointerId, side);
+            if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+
+            // CHECK FOR DEMO BRICK CLICK
+            const demoBrick = game.wall.getDemoBrick();
+            if (demoBrick) {
+                const bx = demoBrick.canvasXPosition;
+                const by = demoBrick.canvasYPosition;
+                const bw = demoBrick.width / 2;
+                const bh = demoBrick.height / 2;
+                if (Math.abs(x - bx) < bw && Math.abs(y - by) < bh) {
+                    game.input({ type: 'demo' });
+                    return;
+                }
+            }
+
+            // START AIMING (a second finger on a side that is already aiming just moves)
+            if (this.aimPointers[side] !== null) return;
+            game.input({ type: 'aimStart', side, x, y });
+            if (game.aiming[side]) this.aimPointers[side] = e.pointerId;
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.inputLocked) return;
+            const { x, y } = this.toLocal(e);
+
+            // Hovering mice aren't bound to a side and steer whichever half they are over
+            const side = this.pointerSides.has(e.pointerId) ? this.pointerSides.get(e.pointerId) : this.sideFor(y);
+            if (this.aimPointers[side] === e.pointerId) {
+                game.input({ type: 'aim', side, x, y });
+            } else {
+                game.input({ type: 'move', side, x });
+            }
+        });
+
+        const release = (e) => {
+            const side = this.pointerSides.get(e.pointerId);
+            this.pointerSides.delete(e.pointerId);
+            if (!side || this.aimPointers[side] !== e.pointerId) return;
+
+            this.aimPointers[side] = null;
+            if (this.inputLocked || !game.aiming[side]) return;
+            game.input({ type: 'launch', side });
+        };
+        this.canvas.addEventListener('pointerup', release);
+        this.canvas.addEventListener('pointercancel', release);
+
+        // A new match starts with no aims in progress
+        game.on('start', () => {
+            this.aimPointers = { top: null, bottom: null };
+        });
+    }
+
+    resize() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        this.canvas.width = width * window.devicePixelRatio;
+        this.canvas.height = height * window.devicePixelRatio;
+        this.ctx = this.canvas.getContext('2d', { alpha: false });
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.width = width;
+        this.height = height;
+
+        this.game.input({ type: 'resize', width, height });
+    }
+
+    initUI() {
+        this.updateScoreDisplay();
+        this.overlay = document.getElementById('overlay');
+        this.message = document.getElementById('message');
+        this.subMessage = document.querySelector('.sub-message');
+        this.keyHint = document.querySelector('.key-hint');
+        this.restartBtn = document.getElementById('restart-btn');
+        this.seedLabel = document.getElementById('seed-label');
+        this.seriesLabel = document.getElementById('series-label');
+        this.aiSelect = document.getElementById('ai-difficulty');
+
+        for (const [name, tier] of Object.entries(AI_TIERS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = tier.label;
+            this.aiSelect.appendChild(option);
+        }
+        this.aiSelect.value = this.game.aiDifficulty;
+        this.aiSelect.addEventListener('change', () => this.game.setAiDifficulty(this.aiSelect.value));
+        // The overlay starts a match on any tap; the picker must not
+        this.aiSelect.parentElement.addEventListener('pointerdown', (e) => e.stopPropagation());
+        this.aiSelect.parentElement.addEventListener('click', (e) => e.stopPropagation());
+
+        this.initModePicker();
+        this.initSeriesPicker();
+        this.initEffectsToggle();
+
+        // Initially hide restart button for the "Tap to Start" splash
+        this.restartBtn.style.display = 'none';
+
+        this.restartBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.game.start();
+        });
+
+        // Use multiple events for maximum compatibility
+        this.overlay.addEventListener('click', this.onFirstTap);
+        this.overlay.addEventListener('pointerdown', this.onFirstTap);
+        this.overlay.style.cursor = 'pointer';
+    }
+
+    initModePicker() {
+        this.players = this.game.cpuSide ? 1 : 2;
+        this.humanSide = (this.game.cpuSide === 'bottom') ? 'top' : 'bottom';
+        this.sidePicker = document.getElementById('side-picker');
+        this.playerButtons = document.querySelectorAll('[data-players]');
+        this.sideButtons = document.querySelectorAll('[data-side]');
+
+        const picker = this.sidePicker.parentElement;
+        picker.addEventListener('pointerdown', (e) => e.stopPropagation());
+        picker.addEventListener('click', (e) => e.stopPropagation());
+
+        for (const btn of this.playerButtons) {
+            btn.addEventListener('click', () => {
+                this.players = Number(btn.dataset.players);
+                this.applyMode();
+            });
+        }
+        for (const btn of this.sideButtons) {
+            btn.addEventListener('click', () => {
+                this.humanSide = btn.dataset.side;
+                this.applyMode();
+            });
+        }
+        this.applyMode();
+    }
+
+    initSeriesPicker() {
+        this.seriesButtons = document.querySelectorAll('[data-series]');
+        for (const btn of this.seriesButtons) {
+            btn.addEventListener('click', () => {
+                this.game.setSeriesLength(Number(btn.dataset.series));
+                this.updateSeriesPicker();
+                this.updateScoreDisplay();
+                // A new format is a new series, so the last result no longer applies
+                this.seriesLabel.textContent = '';
+                this.restartBtn.textContent = this.game.seriesLength ? 'New Series' : 'Play Again';
+            });
+        }
+        this.updateSeriesPicker();
+    }
+
+    initEffectsToggle() {
+        const btn = document.getElementById('effects-btn');
+        const render = () => {
+            btn.textContent = this.effects.reduced ? 'Effects: Reduced' : 'Effects: Full';
+        };
+        btn.addEventListener('pointerdown', (e) => e.stopPropagation());
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.effects.setReduced(!this.effects.reduced);
+            render();
+        });
+        render();
+    }
+
+    updateSeriesPicker() {
+        const length = this.game.seriesLength || 0;
+        for (const btn of this.seriesButtons) btn.classList.toggle('selected', Number(btn.dataset.series) === length);
+    }
+
+    applyMode() {
+        this.game.setSinglePlayer(this.players === 1 ? this.humanSide : null);
+
+        for (const btn of this.playerButtons) btn.classList.toggle('selected', Number(btn.dataset.players) === this.players);
+        for (const btn of this.sideButtons) btn.classList.toggle('selected', btn.dataset.side === this.humanSide);
+        this.sidePicker.classList.toggle('hidden', this.players !== 1);
+
+        this.orientOverlay(this.game.winData ? this.game.winData.winner : null);
+        this.updateScoreDisplay();
+    }
+
+    // Face the overlay towards whoever should read it: the human in single-player,
+    // otherwise the winner (or the bottom player before the first match)
+    orientOverlay(winner) {
+        const reader = this.game.cpuSide ? this.humanSide : winner;
+        this.overlay.classList.toggle('rotate-180', reader === 'top');
+    }
+
+    onStart() {
+        this.updateScoreDisplay();
+
+        this.overlay.classList.add('hidden');
+        if (this.subMessage) this.subMessage.style.display = 'none';
+        if (this.keyHint) this.keyHint.style.display = 'none';
+        this.restartBtn.style.display = 'none';
+        this.seedLabel.textContent = '';
+        this.seriesLabel.textContent = '';
+        this.overlay.classList.remove('rotate-180');
+    }
+
+    // A resumed match (see savegame.js) brings its own mode, CPU level and series
+    onRestore() {
+        const game = this.game;
+        this.players = game.cpuSide ? 1 : 2;
+        if (game.cpuSide) this.humanSide = game.cpuSide === 'top' ? 'bottom' : 'top';
+        this.applyMode();
+        this.aiSelect.value = game.aiDifficulty;
+        this.updateSeriesPicker();
+        this.aimPointers = { top: null, bottom: null };
+        this.onStart();
+    }
+
+    onGameOver({ winner, seed, seriesWinner }) {
+        const game = this.game;
+        const winnerName = winner === 'top' ? 'RED' : 'BLUE';
+        const winnerColor = winner === 'top' ? '#ff3e3e' : '#3e8dff';
+
+        let headline;
+        if (game.cpuSide) {
+            headline = (winner === game.cpuSide) ? 'CPU WINS' : 'YOU WIN';
+        } else {
+            headline = `${winnerName} WINS`;
+        }
+        this.message.textContent = seriesWinner ? `${headline} THE SERIES!` : `${headline}!`;
+
+        if (game.seriesLength) {
+            const score = `${game.matchesWonTop} – ${game.matchesWonBottom}`;
+            this.seriesLabel.textContent = `Best of ${game.seriesLength} · Red ${score} Blue`;
+            this.restartBtn.textContent = seriesWinner ? 'New Series' : 'Next Game';
+        } else {
+            this.seriesLabel.textContent = '';
+            this.restartBtn.textContent = 'Play Again';
+        }
+        this.message.style.color = winnerColor;
+        this.message.style.borderColor = winnerColor;
+        this.message.style.boxShadow = `0 0 20px ${winnerColor}44`;
+
+        this.overlay.classList.remove('hidden');
+        if (this.subMessage) this.subMessage.style.display = 'none';
+        this.orientOverlay(winner);
+        this.restartBtn.style.display = 'block';
+        // Bug reports can quote this; ?seed=<value> replays the same match
+        this.seedLabel.textContent = `Seed ${seed}`;
+        this.updateScoreDisplay();
+    }
+
+    updateScoreDisplay() {
+        const formatTally = (score) => {
+            if (score <= 0) return '';
+            const fives = Math.floor(score / 5);
+            const ones = score % 5;
+            let html = '';
+
+            // Full blocks of five
+            for (let i = 0; i < fives; i++) {
+                html += `
+                    <div class="tally-block">
+                        <div class="mark"></div>
+                        <div class="mark"></div>
+                        <div class="mark"></div>
+                        <div class="mark"></div>
+                        <div class="slash"></div>
+                    </div>`;
+            }
+
+            // Partial block for remaining ones
+            if (ones > 0) {
+                html += '<div class="tally-block">';
+                for (let i = 0; i < ones; i++) {
+                    html += '<div class="mark"></div>';
+                }
+                html += '</div>';
+            }
+            return html;
+        };
+        // Single-player labels each tally so it reads as "You vs CPU"
+        const label = (side) => {
+            const { cpuSide } = this.game;
+            if (!cpuSide) return '';
+            return `<span class="score-label">${side === cpuSide ? 'CPU' : 'You'}</span>`;
+        };
+        // In a series each side shows one pip per win it needs, filled as they come
+        const formatSeries = (score) => {
+            let html = '<div class="series-pips">';
+            for (let i = 0; i < this.game.winsNeeded; i++) {
+                html += `<div class="series-pip${i < score ? ' won' : ''}"></div>`;
+            }
+            return html + '</div>';
+        };
+        const format = this.game.seriesLength ? formatSeries : formatTally;
+        document.querySelector('#score-top .score-tally').innerHTML = label('top') + format(this.game.matchesWonTop);
+        document.querySelector('#score-bottom .score-tally').innerHTML = label('bottom') + format(this.game.matchesWonBottom);
+    }
+
+    // alpha is the fraction of a step elapsed since the last update (0..1).
+    // Any game can be drawn; replays recorded at another size are stretched to fit.
+    draw(alpha = 1, game = this.game) {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = '#0d0d12';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        ctx.save();
+        if (game.width && game.height) ctx.scale(this.width / game.width, this.height / game.height);
+
+        // Mid-line (Base)
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.setLineDash([10, 10]);
+        ctx.beginPath();
+        ctx.moveTo(0, game.height / 2); ctx.lineTo(game.width, game.height / 2);
+        ctx.stroke(); ctx.setLineDash([]);
+
+        // Effects only follow the live game, not replays
+        const effects = (game === this.game) ? this.effects : null;
+        game.wall.draw(ctx, effects ? (b) => effects.brickScale(b) : null);
+
+        // Highlight winning brick if game over
+        if (game.winData && game.winData.brick) {
+            const b = game.winData.brick;
+            ctx.save();
+            ctx.shadowBlur = 20;
+            ctx.shadowColor = '#ffffff';
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 3;
+            const rx = b.canvasXPosition - b.width / 2;
+            const ry = b.canvasYPosition - b.height / 2;
+            ctx.beginPath();
+            if (ctx.roundRect) ctx.roundRect(rx, ry, b.width, b.height, 4);
+            else ctx.rect(rx, ry, b.width, b.height);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        game.paddleTop.draw(ctx, alpha);
+        game.paddleBottom.draw(ctx, alpha);
+        if (effects) effects.drawTrails(ctx, [...game.ballsTop, ...game.ballsBottom]);
+        for (const b of game.ballsTop) b.draw(ctx, alpha);
+        for (const b of game.ballsBottom) b.draw(ctx, alpha);
+        if (effects) effects.draw(ctx);
+        this.hud.update(game);
+
+        // Draw aiming arrows
+        for (const aim of [game.aiming.top, game.aiming.bottom]) {
+            if (!aim) continue;
+            const { ball, x, y } = aim;
+            ctx.save();
+            ctx.beginPath();
+            ctx.moveTo(ball.x, ball.y);
+            ctx.lineTo(x, y);
+
+            ctx.strokeStyle = '#00ff88';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 5]);
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = '#00ff88';
+            ctx.globalAlpha = 0.6;
+            ctx.stroke();
+
+            // Arrow head
+            const angle = Math.atan2(y - ball.y, x - ball.x);
+            ctx.translate(x, y);
+            ctx.rotate(angle);
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(-10, -5);
+            ctx.lineTo(-10, 5);
+            ctx.closePath();
+            ctx.fillStyle = '#00ff88';
+            ctx.fill();
+
+            ctx.restore();
+        }
+
+        ctx.restore();
+    }
+}
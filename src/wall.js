@@ -1,10 +1,33 @@
+import { POWER_UPS, pickPowerUp } from './powerups.js';
+import { sweepCircleRect } from './collision.js';
+import { MAX_STEEL } from './layouts.js';
+
+const ARMOR_HP = 3;
+// Bricks are stored under a numeric key per grid cell; rows and columns stay
+// well inside ±KEY_OFFSET
+const KEY_OFFSET = 1 << 10;
+const KEY_STRIDE = 1 << 11;
+// Crack polylines (fractions of the brick size from its centre), one more per lost hit
+const CRACKS = [
+    [[-0.2, -0.5], [-0.08, -0.15], [-0.22, 0.1], [-0.1, 0.5]],
+    [[0.5, -0.1], [0.2, 0.05], [0.12, -0.2], [-0.08, -0.15]],
+    [[0.3, 0.5], [0.22, 0.2], [0.38, -0.05]]
+];
+
+export function cellKey(row, col) {
+    return (row + KEY_OFFSET) * KEY_STRIDE + col + KEY_OFFSET;
+}
+
 export class Brick {
     constructor(rowCoordinate, columnCoordinate, height, width, type = null) {
         this.rowCoordinate = Math.round(rowCoordinate);
         this.columnCoordinate = Math.round(columnCoordinate);
         this.width = width || 60;
         this.height = height;
-        this.type = type; // null | 'extraBall' | 'demo'
+        this.type = type; // null | 'demo' | one of the power-up types
+        this.hp = 1; // hits left; armored bricks start with more
+        this.maxHp = 1;
+        this.steel = false; // never breaks, so the wall can always route through it
         this.isOrphan = false;
         this.inertFromSide = null;
         this.updateVisualPosition();
@@ -22,23 +45,26 @@ export class Brick {
 }
 
 export class Wall {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.maxBrickWidth = 60;
+    constructor(game) {
+        this.game = game;
+        this.maxBrickWidth = game.rules.maxBrickWidth;
         this.brickWidth = this.maxBrickWidth;
-        this.brickHeight = 25;
+        this.brickHeight = game.rules.brickHeight;
         this.columnSpacing = this.brickWidth;
         this.edgeBufferCols = 1;
-        this.activeBrickMap = new Map();
+        this.activeBrickMap = new Map(); // cellKey -> Brick
+        this.connected = false; // left edge linked to the right, kept by analyzeTopology and the brick edits below
+        this.rings = new Map(); // cellKey -> ringAround
+        this.revision = 0; // goes up whenever bricks come or go, for callers that cache anything about the wall's shape
 
-        this.specialOnRepairChance = 0.06;
+        this.specialOnRepairChance = game.rules.specialOnRepairChance;
         this.specialBorder = '#00ff88';
 
         this.masterMinCol = 0;
         this.masterMaxCol = 0;
 
         // Hit registry to prevent tunneling and simultaneous hit issues
-        this.pendingImpacts = new Map(); // Map of brickKey -> side
+        this.pendingImpacts = new Map(); // Map of cellKey -> side
 
         this.initializeWall();
     }
@@ -52,39 +78,118 @@ export class Wall {
         return pts;
     }
 
+    // The same six cells in order around the one at (row, col), so each
+    // touches the next; cached since they only depend on the cell
+    ringAround(row, col) {
+        const key = cellKey(row, col);
+        let ring = this.rings.get(key);
+        if (!ring) {
+            const d = (Math.abs(row) % 2 === 0) ? -1 : 0; // column of the lower-left and upper-left neighbours
+            ring = [
+                cellKey(row, col + 1), cellKey(row + 1, col + d + 1), cellKey(row + 1, col + d),
+                cellKey(row, col - 1), cellKey(row - 1, col + d), cellKey(row - 1, col + d + 1)
+            ];
+            this.rings.set(key, ring);
+        }
+        return ring;
+    }
+
+    brickAt(row, col) {
+        return this.activeBrickMap.get(cellKey(row, col));
+    }
+
+    clearBricks() {
+        this.activeBrickMap.clear();
+        this.pendingImpacts.clear();
+        this.connected = false;
+        this.revision++;
+    }
+
+    // Full search from the left edge: flags every brick it can't reach as an
+    // orphan and returns whether the right edge is reached. Adding and
+    // removing bricks through addBrickAt and removeBrick keeps both current
+    // without it.
     analyzeTopology() {
-        const bricks = Array.from(this.activeBrickMap.values());
-        bricks.forEach(b => b.isOrphan = true);
-        if (bricks.length === 0) return false;
-        const startBricks = bricks.filter(b => b.columnCoordinate <= this.masterMinCol);
-        if (startBricks.length === 0) return false;
-        const queue = [...startBricks];
-        const visited = new Set();
-        queue.forEach(b => { visited.add(`${b.columnCoordinate},${b.rowCoordinate}`); b.isOrphan = false; });
+        const queue = [];
+        for (const b of this.activeBrickMap.values()) {
+            b.isOrphan = b.columnCoordinate > this.masterMinCol;
+            if (!b.isOrphan) queue.push(b);
+        }
+        this.connected = this.spread(queue);
+        this.revision++;
+        return this.connected;
+    }
+
+    // Un-orphans everything linked to the queued (already reached) bricks;
+    // returns whether that includes the right edge
+    spread(queue) {
+        let reachesEnd = false;
         while (queue.length > 0) {
-            const curr = queue.shift();
-            const neighbors = this.getMasonryNeighbors(curr.rowCoordinate, curr.columnCoordinate);
-            for (const [nr, nc] of neighbors) {
-                const key = `${nc},${nr}`;
-                if (this.activeBrickMap.has(key) && !visited.has(key)) {
-                    visited.add(key);
-                    const nb = this.activeBrickMap.get(key);
+            const curr = queue.pop();
+            if (curr.columnCoordinate >= this.masterMaxCol) reachesEnd = true;
+            for (const key of this.ringAround(curr.rowCoordinate, curr.columnCoordinate)) {
+                const nb = this.activeBrickMap.get(key);
+                if (nb && nb.isOrphan) {
                     nb.isOrphan = false;
                     queue.push(nb);
                 }
             }
         }
-        return bricks.some(b => b.columnCoordinate >= this.masterMaxCol && !b.isOrphan);
+        return reachesEnd;
     }
 
-    updateInertFlags() {
-        this.topLimit = 4;
-        this.bottomLimit = Math.floor((this.canvas.clientHeight) / this.brickHeight) - 2;
+    // Whether taking the brick out could change which bricks reach the left
+    // edge. An orphan is on no such path, and neighbours that form one
+    // unbroken arc around the brick stay linked through each other; edge
+    // columns are where paths start and end, so they always count.
+    mayCut(brick) {
+        if (brick.isOrphan) return false;
+        const col = brick.columnCoordinate;
+        if (col <= this.masterMinCol || col >= this.masterMaxCol) return true;
+        const ring = this.ringAround(brick.rowCoordinate, col);
+        let arcs = 0;
+        for (let i = 0; i < ring.length; i++) {
+            if (this.activeBrickMap.has(ring[i]) && !this.activeBrickMap.has(ring[(i + ring.length - 1) % ring.length])) arcs++;
+        }
+        return arcs > 1;
+    }
+
+    // Whether the wall would still connect without the brick; leaves the
+    // orphan flags alone
+    connectedWithout(brick) {
+        if (!this.mayCut(brick)) return this.connected;
+        const visited = new Set([brick]);
+        const queue = [];
         for (const b of this.activeBrickMap.values()) {
-            if (b.rowCoordinate <= this.topLimit) b.inertFromSide = 'bottom';
-            else if (b.rowCoordinate >= this.bottomLimit) b.inertFromSide = 'top';
-            else b.inertFromSide = null;
+            if (b !== brick && b.columnCoordinate <= this.masterMinCol) {
+                visited.add(b);
+                queue.push(b);
+            }
+        }
+        while (queue.length > 0) {
+            const curr = queue.pop();
+            if (curr.columnCoordinate >= this.masterMaxCol) return true;
+            for (const key of this.ringAround(curr.rowCoordinate, curr.columnCoordinate)) {
+                const nb = this.activeBrickMap.get(key);
+                if (nb && !visited.has(nb)) {
+                    visited.add(nb);
+                    queue.push(nb);
+                }
+            }
         }
+        return false;
+    }
+
+    inertSideAt(row) {
+        if (row <= this.topLimit) return 'bottom';
+        if (row >= this.bottomLimit) return 'top';
+        return null;
+    }
+
+    updateInertFlags() {
+        this.topLimit = 4;
+        this.bottomLimit = Math.floor(this.game.height / this.brickHeight) - 2;
+        for (const b of this.activeBrickMap.values()) b.inertFromSide = this.inertSideAt(b.rowCoordinate);
     }
 
     checkWin() {
@@ -96,46 +201,286 @@ export class Wall {
     }
 
     initializeWall() {
-        this.activeBrickMap.clear();
-        this.pendingImpacts.clear();
-        this.baselineMiddleRow = Math.round((this.canvas.clientHeight / 2) / this.brickHeight);
-        const screenW = this.canvas.clientWidth || 800;
+        // Pick up rule changes made between matches
+        const { maxBrickWidth, brickHeight, specialOnRepairChance } = this.game.rules;
+        this.maxBrickWidth = maxBrickWidth;
+        this.brickHeight = brickHeight;
+        this.specialOnRepairChance = specialOnRepairChance;
+
+        this.clearBricks();
+        this.baselineMiddleRow = Math.round((this.game.height / 2) / this.brickHeight);
+        const screenW = this.game.width || 800;
         const columnsVisible = Math.max(1, Math.round(screenW / this.maxBrickWidth));
         this.brickWidth = screenW / columnsVisible;
         this.columnSpacing = this.brickWidth;
         this.masterMinCol = -this.edgeBufferCols;
         this.masterMaxCol = (columnsVisible - 1) + this.edgeBufferCols;
 
+        // A layout that can't connect at this size falls back to the straight row
+        if (!this.game.layout || !this.buildLayout(this.game.layout, columnsVisible)) {
+            this.clearBricks();
+            for (let c = this.masterMinCol; c <= this.masterMaxCol; c++) {
+                this.addBrickAt(this.baselineMiddleRow, c, null);
+            }
+
+            const midCol = Math.floor((this.masterMinCol + this.masterMaxCol) / 2);
+            const demo = this.brickAt(this.baselineMiddleRow, midCol);
+            if (demo) demo.type = 'demo';
+        }
+
+        this.analyzeTopology();
+        this.updateInertFlags();
+    }
+
+    // Places a starting layout and bridges whatever stretching broke. Returns
+    // whether the result connects end to end.
+    buildLayout(layout, columnsVisible) {
+        this.placeLayout(layout, columnsVisible);
+        this.bridgeGaps();
+        return this.analyzeTopology();
+    }
+
+    // Puts a layout's bricks (see layouts.js) around the midline, stretching
+    // its design columns over the visible ones; the edge buffers repeat the
+    // outer columns. The stagger depends on row parity, so on an odd midline
+    // the layout is mirrored, which keeps every neighbour link.
+    placeLayout(layout, columnsVisible) {
+        this.updateInertFlags();
+        const mirror = Math.abs(this.baselineMiddleRow) % 2 === 1;
+        const byColumn = new Map();
+        for (const b of layout.bricks) {
+            const col = mirror ? layout.columns - 1 - b.col : b.col;
+            if (!byColumn.has(col)) byColumn.set(col, []);
+            byColumn.get(col).push(b);
+        }
+
+        const placed = new Set();
+        let steelCount = 0;
         for (let c = this.masterMinCol; c <= this.masterMaxCol; c++) {
-            this.addBrickAt(this.baselineMiddleRow, c, null);
+            const source = Math.max(0, Math.min(layout.columns - 1, Math.floor((c + 0.5) * layout.columns / columnsVisible)));
+            for (const b of byColumn.get(source) || []) {
+                const row = this.baselineMiddleRow + b.row;
+                if (row <= this.topLimit || row >= this.bottomLimit) continue;
+                // Stretched columns repeat the shape; the special stays single
+                this.addBrickAt(row, c, placed.has(b) ? null : (b.type || null));
+                placed.add(b);
+                const brick = this.brickAt(row, c);
+                // Repeats of a steel brick stay plain once the wall has MAX_STEEL
+                if (b.steel) {
+                    if (steelCount < MAX_STEEL) {
+                        brick.steel = true;
+                        steelCount++;
+                    }
+                } else if (b.hp > 1) brick.hp = brick.maxHp = b.hp;
+            }
         }
+        // Specials in design columns too narrow to show up move to the nearest plain brick
+        for (const b of layout.bricks) {
+            if (placed.has(b) || !b.type) continue;
+            const col = mirror ? layout.columns - 1 - b.col : b.col;
+            this.giveTypeToNearest(b.type, (col + 0.5) * columnsVisible / layout.columns - 0.5, this.baselineMiddleRow + b.row);
+        }
+    }
+
+    // Grid cell [row, col] under a canvas point, the inverse of Brick.updateVisualPosition
+    cellAt(x, y) {
+        const row = Math.round(y / this.brickHeight);
+        const shift = (Math.abs(row) % 2 === 1) ? this.brickWidth / 2 : 0;
+        return [row, Math.round((x - shift - this.brickWidth / 2) / this.brickWidth)];
+    }
 
-        const midCol = Math.floor((this.masterMinCol + this.masterMaxCol) / 2);
-        const demoKey = `${midCol},${this.baselineMiddleRow}`;
-        if (this.activeBrickMap.has(demoKey)) {
-            this.activeBrickMap.get(demoKey).type = 'demo';
+    // Fits the current wall to a new canvas size instead of starting over.
+    // Rows move by an even amount (so the masonry stagger and every neighbour
+    // link survive) to keep the wall's progress towards either side; columns
+    // are resampled to the new count. Returns a function that maps an old
+    // y coordinate to the new layout, for balls and aim points.
+    remap(oldWidth, oldHeight) {
+        const bricks = Array.from(this.activeBrickMap.values());
+        const bh = this.brickHeight;
+        if (bricks.length === 0 || !oldWidth || !oldHeight) {
+            this.initializeWall();
+            return (y) => y * this.game.height / (oldHeight || this.game.height);
         }
 
-        this.analyzeTopology();
+        const oldMin = this.masterMinCol;
+        const oldCount = this.masterMaxCol - oldMin + 1;
+        const oldBaseline = this.baselineMiddleRow;
+        const oldTop = this.topLimit;
+        const oldBottom = this.bottomLimit;
+
+        this.pendingImpacts.clear();
+        this.baselineMiddleRow = Math.round((this.game.height / 2) / bh);
+        const columnsVisible = Math.max(1, Math.round((this.game.width || 800) / this.maxBrickWidth));
+        this.brickWidth = (this.game.width || 800) / columnsVisible;
+        this.columnSpacing = this.brickWidth;
+        this.masterMinCol = -this.edgeBufferCols;
+        this.masterMaxCol = (columnsVisible - 1) + this.edgeBufferCols;
+        const newCount = this.masterMaxCol - this.masterMinCol + 1;
         this.updateInertFlags();
+
+        // Vertical: keep the middle of the wall the same fraction of the way to the limit it is heading for
+        let wallTop = Infinity;
+        let wallBottom = -Infinity;
+        for (const b of bricks) {
+            wallTop = Math.min(wallTop, b.rowCoordinate);
+            wallBottom = Math.max(wallBottom, b.rowCoordinate);
+        }
+        const mid = (wallTop + wallBottom) / 2;
+        const towardsBottom = mid >= oldBaseline;
+        const oldSpan = towardsBottom ? oldBottom - oldBaseline : oldBaseline - oldTop;
+        const newSpan = towardsBottom ? this.bottomLimit - this.baselineMiddleRow : this.baselineMiddleRow - this.topLimit;
+        const progress = oldSpan > 0 ? (mid - oldBaseline) / oldSpan : 0;
+        const toEven = (n) => 2 * Math.round(n / 2);
+        let shift = toEven(this.baselineMiddleRow + progress * Math.max(0, newSpan) - mid);
+
+        // Stay clear of both limits if the wall fits at all, so a rotation can't end the match
+        const minShift = 2 * Math.ceil((this.topLimit + 1 - wallTop) / 2);
+        const maxShift = 2 * Math.floor((this.bottomLimit - 1 - wallBottom) / 2);
+        if (minShift <= maxShift) shift = Math.max(minShift, Math.min(maxShift, shift));
+        else shift = toEven((this.topLimit + this.bottomLimit) / 2 - mid);
+
+        // Horizontal: each new column copies the old column at the same relative position
+        // (rows are read up front; the originals are moved as they are placed)
+        const byColumn = new Map();
+        for (const b of bricks) {
+            if (!byColumn.has(b.columnCoordinate)) byColumn.set(b.columnCoordinate, []);
+            byColumn.get(b.columnCoordinate).push({ b, row: b.rowCoordinate + shift });
+        }
+        const placed = new Set();
+        this.clearBricks();
+        for (let c = this.masterMinCol; c <= this.masterMaxCol; c++) {
+            const source = oldMin + Math.min(oldCount - 1, Math.floor((c - this.masterMinCol + 0.5) * oldCount / newCount));
+            for (const { b, row } of byColumn.get(source) || []) {
+                // The first copy is the original brick (type and all); repeats are plain
+                const brick = placed.has(b) ? new Brick(row, c, bh, this.brickWidth, null) : b;
+                placed.add(b);
+                brick.rowCoordinate = row;
+                brick.columnCoordinate = c;
+                brick.width = this.brickWidth;
+                brick.height = bh;
+                brick.updateVisualPosition();
+                this.activeBrickMap.set(cellKey(row, c), brick);
+            }
+        }
+
+        // Specials in columns that were dropped move to the nearest plain brick
+        // (unplaced bricks still have their old coordinates)
+        for (const b of bricks) {
+            if (placed.has(b) || !b.type) continue;
+            const targetCol = this.masterMinCol + (b.columnCoordinate - oldMin + 0.5) * newCount / oldCount - 0.5;
+            this.giveTypeToNearest(b.type, targetCol, b.rowCoordinate + shift);
+        }
+
+        this.bridgeGaps();
+        this.updateInertFlags();
+
+        const oldUpper = wallTop * bh - bh / 2;
+        const oldLower = wallBottom * bh + bh / 2;
+        const offset = shift * bh;
+        const newHeight = this.game.height;
+        return (y) => {
+            if (y < oldUpper) return oldUpper > 0 ? y * (oldUpper + offset) / oldUpper : y + offset;
+            if (y > oldLower) {
+                const oldRest = oldHeight - oldLower;
+                const newRest = newHeight - (oldLower + offset);
+                return (oldLower + offset) + (oldRest > 0 ? (y - oldLower) * newRest / oldRest : 0);
+            }
+            return y + offset;
+        };
+    }
+
+    giveTypeToNearest(type, targetCol, targetRow) {
+        let nearest = null;
+        let bestDist = Infinity;
+        for (const candidate of this.activeBrickMap.values()) {
+            if (candidate.type || candidate.steel) continue;
+            const dist = Math.abs(candidate.columnCoordinate - targetCol) + Math.abs(candidate.rowCoordinate - targetRow);
+            if (dist < bestDist) {
+                bestDist = dist;
+                nearest = candidate;
+            }
+        }
+        if (nearest) nearest.type = type;
+    }
+
+    // Dropping columns can cut the only link between two others. Sweeps left
+    // to right and adds a plain brick beside the last reachable one wherever
+    // the left-to-right connection stops.
+    bridgeGaps() {
+        this.analyzeTopology();
+        for (let c = this.masterMinCol + 1; c <= this.masterMaxCol; c++) {
+            let reached = false;
+            let bestPrev = null;
+            for (const b of this.activeBrickMap.values()) {
+                if (b.isOrphan) continue;
+                if (b.columnCoordinate === c) reached = true;
+                if (b.columnCoordinate === c - 1 && (!bestPrev ||
+                    Math.abs(b.rowCoordinate - this.baselineMiddleRow) < Math.abs(bestPrev.rowCoordinate - this.baselineMiddleRow))) {
+                    bestPrev = b;
+                }
+            }
+            if (!reached && bestPrev) this.addBrickAt(bestPrev.rowCoordinate, c, null);
+        }
     }
 
     getDemoBrick() {
         return Array.from(this.activeBrickMap.values()).find(b => b.type === 'demo');
     }
 
+    // A new brick only adds links: touching the reached part of the wall
+    // brings it, and whatever it touches, along
     addBrickAt(row, col, type = null) {
-        const key = `${col},${row}`;
+        const key = cellKey(row, col);
         if (this.activeBrickMap.has(key)) return false;
         const b = new Brick(row, col, this.brickHeight, this.brickWidth, type);
         this.activeBrickMap.set(key, b);
-        this.updateInertFlags();
+        b.inertFromSide = this.inertSideAt(b.rowCoordinate);
+        b.isOrphan = b.columnCoordinate > this.masterMinCol && !this.ringAround(b.rowCoordinate, b.columnCoordinate).some(k => {
+            const nb = this.activeBrickMap.get(k);
+            return nb && !nb.isOrphan;
+        });
+        if (!b.isOrphan && this.spread([b])) this.connected = true;
+        this.revision++;
         return true;
     }
 
+    // Returns whether the wall still connects; only a brick that may cut it
+    // (see mayCut) needs the full search
+    removeBrick(brick) {
+        const mayCut = this.mayCut(brick);
+        this.activeBrickMap.delete(cellKey(brick.rowCoordinate, brick.columnCoordinate));
+        this.revision++;
+        if (mayCut) this.analyzeTopology();
+        return this.connected;
+    }
+
+    // Repair bricks occasionally come back as a power-up the rules allow
+    rollRepairType() {
+        if (this.game.rng.next() >= this.specialOnRepairChance) return null;
+        return pickPowerUp(this.game.rng.next(), this.game.rules.disabledPowerUps);
+    }
+
+    // Places a repair brick: maybe a power-up, otherwise maybe armored or steel.
+    // No extra roll is made when both chances are 0.
+    // Returns the new brick, or null if the cell was taken.
+    addRepairBrick(row, col) {
+        const type = this.rollRepairType();
+        if (!this.addBrickAt(row, col, type)) return null;
+        const b = this.brickAt(row, col);
+        const { armoredOnRepairChance, steelOnRepairChance } = this.game.rules;
+        if (type || armoredOnRepairChance + steelOnRepairChance <= 0) return b;
+
+        const rnd = this.game.rng.next();
+        if (rnd < steelOnRepairChance) {
+            let steelCount = 0;
+            for (const other of this.activeBrickMap.values()) if (other.steel) steelCount++;
+            if (steelCount < MAX_STEEL) b.steel = true;
+        } else if (rnd < steelOnRepairChance + armoredOnRepairChance) b.hp = b.maxHp = ARMOR_HP;
+        return b;
+    }
+
     // Process a single hit impact - now separated from detection
     processWallImpact(hitBrick, ballSide) {
-        const preKeys = new Set(this.activeBrickMap.keys());
         const hitR = hitBrick.rowCoordinate;
         const hitC = hitBrick.columnCoordinate;
         const delta = (ballSide === 'top' ? 1 : -1);
@@ -143,12 +488,20 @@ export class Wall {
         this.lastHitBrickType = hitBrick.type || null;
 
         if (hitBrick.inertFromSide === ballSide) {
-            if (hitBrick.type === 'extraBall' || hitBrick.type === 'removeBall' || hitBrick.type === 'enlargePaddle' || hitBrick.type === 'shrinkPaddle' || hitBrick.type === 'demo') hitBrick.type = null;
+            if (hitBrick.type && POWER_UPS[hitBrick.type].neutralizable) hitBrick.type = null;
+            return;
+        }
+
+        // Steel shrugs the hit off; armor loses a layer
+        if (hitBrick.steel || hitBrick.hp > 1) {
+            if (!hitBrick.steel) hitBrick.hp--;
+            this.game.emit('brickHit', { side: ballSide, brick: hitBrick });
             return;
         }
 
-        this.activeBrickMap.delete(`${hitC},${hitR}`);
-        let isConnected = this.analyzeTopology();
+        let isConnected = this.removeBrick(hitBrick);
+        this.game.emit('brickDestroyed', { side: ballSide, brick: hitBrick });
+        const repaired = [];
 
         if (!isConnected) {
             const neighbors = this.getMasonryNeighbors(hitR, hitC);
@@ -156,39 +509,26 @@ export class Wall {
             const candidates = [...mortarCandidates, [hitR, hitC - 1], [hitR, hitC + 1]];
 
             for (const [cr, cc] of candidates) {
-                const key = `${cc},${cr}`;
-                if (this.activeBrickMap.has(key)) continue;
-                let t = null;
-                if (Math.random() < this.specialOnRepairChance) {
-                    const rnd = Math.random();
-                    if (rnd < 0.4) t = 'extraBall';
-                    else if (rnd < 0.5) t = 'removeBall';
-                    else if (rnd < 0.9) t = 'enlargePaddle';
-                    else t = 'shrinkPaddle';
+                if (this.brickAt(cr, cc)) continue;
+                const b = this.addRepairBrick(cr, cc);
+                isConnected = this.connected;
+                if (isConnected) {
+                    repaired.push(b);
+                    break;
                 }
-                this.addBrickAt(cr, cc, t);
-                isConnected = this.analyzeTopology();
-                if (isConnected) break;
-                else this.activeBrickMap.delete(key);
+                this.removeBrick(b);
             }
 
             if (!isConnected) {
                 for (const [cr, cc] of candidates) {
-                    let t = null;
-                    if (Math.random() < this.specialOnRepairChance) {
-                        const rnd = Math.random();
-                        if (rnd < 0.4) t = 'extraBall';
-                        else if (rnd < 0.5) t = 'removeBall';
-                        else if (rnd < 0.9) t = 'enlargePaddle';
-                        else t = 'shrinkPaddle';
-                    }
-                    this.addBrickAt(cr, cc, t);
-                    isConnected = this.analyzeTopology();
+                    const b = this.addRepairBrick(cr, cc);
+                    if (b) repaired.push(b);
+                    isConnected = this.connected;
                     if (isConnected) break;
                 }
             }
         }
-        this.updateInertFlags();
+        for (const b of repaired) this.game.emit('brickRepaired', { brick: b });
     }
 
     resolvePendingImpacts() {
@@ -210,83 +550,62 @@ export class Wall {
         this.updateInertFlags();
     }
 
-    checkCollision(ball) {
-        // OPTIMIZATION: Spatial Grid Lookup
-        // Instead of checking ALL bricks, we only check the ones immediately around the ball coordinate.
-        const estRow = Math.round(ball.y / this.brickHeight);
-
-        // Search a 5x5 neighborhood around the estimated position
-        // The x-position of a brick is (c * w) + shift + w/2, so the estimated column is (x - shift - w/2) / w
-        const xShift = (Math.abs(estRow) % 2 === 1) ? (this.brickWidth / 2) : 0;
-        const estCol = Math.round((ball.x - xShift - this.brickWidth / 2) / this.brickWidth);
-
-        let best = null, minPenetration = Infinity, bestPen = null;
-
-        // Use a slightly larger search range (2 rows/cols each way) to be absolutely safe near boundaries
-        for (let r = estRow - 2; r <= estRow + 2; r++) {
-            const rowShift = (Math.abs(r) % 2 === 1) ? (this.brickWidth / 2) : 0;
-            const centerCol = Math.round((ball.x - rowShift - this.brickWidth / 2) / this.brickWidth);
-
-            for (let c = centerCol - 2; c <= centerCol + 2; c++) {
-                const b = this.activeBrickMap.get(`${c},${r}`);
-                if (!b) continue;
-
-                const dx = ball.x - b.canvasXPosition, dy = ball.y - b.canvasYPosition;
-                const sX = (b.width / 2) + ball.radius + 1, sY = (b.height / 2) + ball.radius + 1;
-
-                if (Math.abs(dx) <= sX && Math.abs(dy) <= sY) {
-                    const towardsX = (ball.vx > 0 && dx < 0) || (ball.vx < 0 && dx > 0);
-                    const towardsY = (ball.vy > 0 && dy < 0) || (ball.vy < 0 && dy > 0);
-
-                    // If moving away from both axes, no collision possible (already resolving or past center)
-                    if (!towardsX && !towardsY) continue;
-
-                    const overlapX = sX - Math.abs(dx), overlapY = sY - Math.abs(dy);
-                    const penetration = Math.min(overlapX, overlapY);
-
-                    // Resolve the bounce axis: choose smaller overlap but ONLY if moving towards it
-                    let chosenAxis = (overlapX < overlapY) ? 'x' : 'y';
-                    if (chosenAxis === 'x' && !towardsX) chosenAxis = 'y';
-                    if (chosenAxis === 'y' && !towardsY) chosenAxis = 'x';
-
-                    // Final validation for the chosen axis
-                    if (chosenAxis === 'x' && !towardsX) continue;
-                    if (chosenAxis === 'y' && !towardsY) continue;
-
-                    if (penetration < minPenetration) {
-                        minPenetration = penetration;
-                        best = b;
-                        bestPen = { dx, dy, overlapX, overlapY, axis: chosenAxis };
-                    }
-                }
+    // Earliest brick the ball touches while moving by (dx, dy) this step, as
+    // a contact from sweepCircleRect plus the brick. Bricks in `skip` were
+    // pierced earlier in the step and are still being passed through.
+    sweep(ball, dx, dy, skip) {
+        const r = ball.radius;
+        const minX = Math.min(ball.x, ball.x + dx) - r, maxX = Math.max(ball.x, ball.x + dx) + r;
+        const minY = Math.min(ball.y, ball.y + dy) - r, maxY = Math.max(ball.y, ball.y + dy) + r;
+        const w = this.brickWidth, h = this.brickHeight;
+
+        let best = null;
+        // Only the cells the swept circle can reach; a row's stagger shifts its columns by half a brick
+        for (let row = Math.floor(minY / h) - 1; row <= Math.ceil(maxY / h) + 1; row++) {
+            const shift = (Math.abs(row) % 2 === 1) ? w / 2 : 0;
+            for (let col = Math.floor((minX - shift) / w) - 1; col <= Math.ceil((maxX - shift) / w); col++) {
+                const key = cellKey(row, col);
+                const b = this.activeBrickMap.get(key);
+                if (!b || skip.has(b)) continue;
+                // A piercing ball is still inside bricks it already broke this step
+                if (ball.pierce > 0 && this.pendingImpacts.has(key)) continue;
+
+                const contact = sweepCircleRect(ball.x, ball.y, dx, dy, r, {
+                    left: b.canvasXPosition - b.width / 2,
+                    right: b.canvasXPosition + b.width / 2,
+                    top: b.canvasYPosition - b.height / 2,
+                    bottom: b.canvasYPosition + b.height / 2
+                });
+                if (contact && (!best || contact.t < best.t)) best = { ...contact, brick: b };
             }
         }
+        return best;
+    }
 
-        if (best) {
-            const key = `${best.columnCoordinate},${best.rowCoordinate}`;
-            this.pendingImpacts.set(key, ball.side);
-            this.lastHitBrickType = best.type;
-
-            if (bestPen.axis === 'x') {
-                ball.vx *= -1;
-                const ejectX = (best.width / 2) + ball.radius + 2;
-                ball.x = best.canvasXPosition + (bestPen.dx > 0 ? ejectX : -ejectX);
-            } else {
-                ball.vy *= -1;
-                const ejectY = (best.height / 2) + ball.radius + 2;
-                ball.y = best.canvasYPosition + (ball.vy > 0 ? ejectY : -ejectY);
-            }
-            return true;
-        }
-        return false;
+    // Registers a ball touching a brick; the brick itself is dealt with after
+    // every ball has moved (resolvePendingImpacts). Returns whether the ball
+    // passes through (piercing) and whether this is the brick's first hit this
+    // step, which is the only one that collects its power-up.
+    hitBrick(ball, brick) {
+        const key = cellKey(brick.rowCoordinate, brick.columnCoordinate);
+        const firstHit = !this.pendingImpacts.has(key);
+        this.pendingImpacts.set(key, ball.side);
+        this.lastHitBrickType = brick.type;
+        this.lastHitBrick = brick;
+
+        // Piercing balls carry straight on through bricks this hit will break
+        const pierces = ball.pierce > 0 && brick.inertFromSide !== ball.side && !brick.steel && brick.hp <= 1;
+        if (pierces) ball.pierce--;
+        return { pierces, firstHit };
     }
 
-    draw(ctx) {
+    // scaleOf(brick) optionally shrinks bricks around their centre (repair grow-in)
+    draw(ctx, scaleOf = null) {
         ctx.save();
 
         // Clip to canvas to prevent "peeking" buffer bricks
         ctx.beginPath();
-        ctx.rect(0, 0, this.canvas.clientWidth, this.canvas.clientHeight);
+        ctx.rect(0, 0, this.game.width, this.game.height);
         ctx.clip();
 
         // Shadows are EXPENSIVE on slower mobile devices. 
@@ -295,23 +614,27 @@ export class Wall {
             const drawW = b.width - 1, drawH = b.height - 1;
             const rx = b.canvasXPosition - (drawW / 2), ry = b.canvasYPosition - (drawH / 2);
 
+            const scale = scaleOf ? scaleOf(b) : 1;
+            if (scale !== 1) {
+                ctx.save();
+                ctx.translate(b.canvasXPosition, b.canvasYPosition);
+                ctx.scale(scale, scale);
+                ctx.translate(-b.canvasXPosition, -b.canvasYPosition);
+            }
+
             ctx.shadowBlur = 0; // Default off
 
-            if (b.type === 'demo') {
-                ctx.shadowBlur = 10; ctx.shadowColor = '#00d0ff';
-                ctx.fillStyle = 'rgba(0, 208, 255, 0.2)'; ctx.strokeStyle = '#00d0ff';
-            } else if (b.type === 'extraBall') {
-                ctx.shadowBlur = 8; ctx.shadowColor = '#00ff88';
-                ctx.fillStyle = 'rgba(0, 255, 136, 0.15)'; ctx.strokeStyle = '#00ff88';
-            } else if (b.type === 'removeBall') {
-                ctx.shadowBlur = 8; ctx.shadowColor = '#ff3e3e';
-                ctx.fillStyle = 'rgba(255, 62, 62, 0.15)'; ctx.strokeStyle = '#ff3e3e';
-            } else if (b.type === 'enlargePaddle') {
-                ctx.shadowBlur = 8; ctx.shadowColor = '#3e8dff';
-                ctx.fillStyle = 'rgba(62, 141, 255, 0.15)'; ctx.strokeStyle = '#3e8dff';
-            } else if (b.type === 'shrinkPaddle') {
-                ctx.shadowBlur = 8; ctx.shadowColor = '#ff9f3e';
-                ctx.fillStyle = 'rgba(255, 159, 62, 0.15)'; ctx.strokeStyle = '#ff9f3e';
+            const powerUp = b.type && POWER_UPS[b.type];
+            if (powerUp) {
+                ctx.shadowBlur = powerUp.glow || 8; ctx.shadowColor = powerUp.color;
+                ctx.fillStyle = powerUp.fill; ctx.strokeStyle = powerUp.color;
+            } else if (b.steel) {
+                ctx.fillStyle = 'rgba(150, 160, 175, 0.5)';
+                ctx.strokeStyle = '#c8d0dc';
+            } else if (b.maxHp > 1) {
+                // Armor gets lighter as it wears down
+                ctx.fillStyle = `rgba(170, 180, 200, ${0.1 + 0.1 * b.hp})`;
+                ctx.strokeStyle = '#aab4c8';
             } else {
                 ctx.fillStyle = 'rgba(255,255,255,0.15)';
                 ctx.strokeStyle = 'rgba(255,255,255,0.4)';
@@ -323,52 +646,40 @@ export class Wall {
                 ctx.strokeStyle = (b.inertFromSide === 'top') ? '#ff3e3e44' : '#3e8dff44';
             }
 
-            ctx.lineWidth = (b.type) ? 2 : 1;
+            ctx.lineWidth = (b.type || b.steel || b.maxHp > 1) ? 2 : 1;
             ctx.beginPath();
             if (ctx.roundRect) ctx.roundRect(rx, ry, drawW, drawH, 4);
             else ctx.rect(rx, ry, drawW, drawH);
             ctx.fill(); ctx.stroke();
 
-            // Clean up shadow for text/circles
-            if (b.type) {
-                ctx.shadowBlur = 0;
-                if (b.type === 'demo') {
-                    ctx.fillStyle = '#00d0ff'; ctx.font = 'bold 12px "Trebuchet MS", sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
-                    ctx.fillText("DEMO", b.canvasXPosition, b.canvasYPosition + 1);
-                } else if (b.type === 'extraBall') {
-                    // Green outlined ball with +
-                    ctx.strokeStyle = '#00ff88'; ctx.lineWidth = 2; ctx.beginPath(); ctx.arc(b.canvasXPosition, b.canvasYPosition, 7, 0, Math.PI * 2); ctx.stroke();
-                    ctx.fillStyle = '#00ff88'; ctx.font = 'bold 14px "Trebuchet MS", sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
-                    ctx.fillText("+", b.canvasXPosition, b.canvasYPosition + 1);
-                } else if (b.type === 'removeBall') {
-                    // Red outlined ball with -
-                    ctx.strokeStyle = '#ff3e3e'; ctx.lineWidth = 2; ctx.beginPath(); ctx.arc(b.canvasXPosition, b.canvasYPosition, 7, 0, Math.PI * 2); ctx.stroke();
-                    ctx.fillStyle = '#ff3e3e'; ctx.font = 'bold 16px "Trebuchet MS", sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
-                    ctx.fillText("-", b.canvasXPosition, b.canvasYPosition);
-                } else if (b.type === 'enlargePaddle') {
-                    // Outward arrows <-->
-                    ctx.strokeStyle = '#3e8dff'; ctx.lineWidth = 2; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
-                    const x = b.canvasXPosition, y = b.canvasYPosition, w = 12, h = 6;
-                    ctx.beginPath();
-                    ctx.moveTo(x - w, y); ctx.lineTo(x + w, y); // Main line
-                    // Left arrow <
-                    ctx.moveTo(x - w + h, y - h / 2); ctx.lineTo(x - w, y); ctx.lineTo(x - w + h, y + h / 2);
-                    // Right arrow >
-                    ctx.moveTo(x + w - h, y - h / 2); ctx.lineTo(x + w, y); ctx.lineTo(x + w - h, y + h / 2);
-                    ctx.stroke();
-                } else if (b.type === 'shrinkPaddle') {
-                    // Inward arrows >-<
-                    ctx.strokeStyle = '#ff9f3e'; ctx.lineWidth = 2; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
-                    const x = b.canvasXPosition, y = b.canvasYPosition, w = 12, h = 6;
+            if (b.steel) {
+                // Rivets in the corners
+                ctx.fillStyle = '#c8d0dc';
+                for (const [fx, fy] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
                     ctx.beginPath();
-                    ctx.moveTo(x - w + h, y); ctx.lineTo(x + w - h, y); // Main line
-                    // Left arrow >
-                    ctx.moveTo(x - w, y - h / 2); ctx.lineTo(x - w + h, y); ctx.lineTo(x - w, y + h / 2);
-                    // Right arrow <
-                    ctx.moveTo(x + w, y - h / 2); ctx.lineTo(x + w - h, y); ctx.lineTo(x + w, y + h / 2);
-                    ctx.stroke();
+                    ctx.arc(b.canvasXPosition + fx * (drawW / 2 - 5), b.canvasYPosition + fy * (drawH / 2 - 5), 1.5, 0, Math.PI * 2);
+                    ctx.fill();
                 }
+            } else if (b.maxHp > b.hp) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                for (const crack of CRACKS.slice(0, b.maxHp - b.hp)) {
+                    crack.forEach(([fx, fy], i) => {
+                        const x = b.canvasXPosition + fx * drawW, y = b.canvasYPosition + fy * drawH;
+                        if (i === 0) ctx.moveTo(x, y);
+                        else ctx.lineTo(x, y);
+                    });
+                }
+                ctx.stroke();
+            }
+
+            // Clean up shadow for text/circles
+            if (powerUp) {
+                ctx.shadowBlur = 0;
+                powerUp.drawIcon(ctx, b.canvasXPosition, b.canvasYPosition);
             }
+            if (scale !== 1) ctx.restore();
         }
         ctx.restore();
     }
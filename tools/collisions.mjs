@@ -0,0 +1,188 @@
+// Deterministic collision regression scenarios.
+//
+//   node tools/collisions.mjs
+//
+// Each scenario sets up bricks, paddles and balls by hand, steps the core and
+// checks where the ball went. They cover cases the old sub-stepped collision
+// got wrong: fast balls clipping a paddle corner, corner hits bouncing off
+// the wrong face, bricks pushing balls out through the side walls, and balls
+// piling into one power-up brick in a single step. The last few cover
+// ball-to-ball collisions (rules.ballCollisions).
+import { Game } from '../src/game.js';
+
+const WIDTH = 420; // 7 columns of 60px
+const HEIGHT = 800; // 25px rows, midline row 16
+
+// A running match with no AI and no wall; scenarios place what they need
+function setup(rules = null) {
+    const game = new Game({ width: WIDTH, height: HEIGHT, seed: 1, rules });
+    game.start();
+    game.aiThreshold = Infinity;
+    game.wall.clearBricks();
+    return game;
+}
+
+function addBrick(game, row, col, { type = null, steel = false } = {}) {
+    game.wall.addBrickAt(row, col, type);
+    const brick = game.wall.brickAt(row, col);
+    brick.steel = steel;
+    return brick;
+}
+
+function aim(ball, x, y, vx, vy) {
+    Object.assign(ball, { x, y, prevX: x, prevY: y, vx, vy, active: true });
+    ball.gameSpeed = Math.hypot(vx, vy);
+    ball.maxGameSpeed = 16;
+}
+
+// Red comes down at 16px a step onto blue, which meets it a quarter of the
+// way through the step one radius above `surface` (a brick or paddle top)
+function knockInto(game, surface) {
+    const red = game.ballsTop[0], blue = game.ballsBottom[0];
+    const meetY = surface - 2 * blue.radius;
+    aim(blue, 210, meetY + 1, 0, -4);
+    aim(red, 210, meetY + 1 - 21, 0, 16);
+    let hits = 0;
+    game.on('ballCollision', () => hits++);
+    game.update();
+    if (hits !== 1) return `${hits} collisions`;
+    if (blue.vy >= 0) return `blue still heading down (vy ${blue.vy.toFixed(2)})`;
+    if (blue.y > surface - blue.radius + 1e-9) return `blue ended inside at y ${blue.y.toFixed(1)}`;
+    return null;
+}
+
+const scenarios = {
+    // Path crosses the rounded corner mid-step; neither end of the step overlaps the paddle
+    'fast ball clipping a paddle corner bounces'() {
+        const game = setup();
+        const paddle = game.paddleBottom; // x 150..270, face at y 765
+        const ball = game.ballsBottom[0];
+        aim(ball, 266, 756, 13, 7);
+        game.update();
+        if (ball.vy >= 0) return `still heading down (vy ${ball.vy.toFixed(2)})`;
+        if (ball.y > paddle.getBounds().top) return `ended behind the paddle face (y ${ball.y.toFixed(1)})`;
+        return null;
+    },
+
+    // Straight at a brick corner: the ball comes straight back
+    'head-on corner hit reverses both axes'() {
+        const game = setup();
+        addBrick(game, 16, 3, { steel: true }); // x 180..240, y 387.5..412.5
+        const ball = game.ballsTop[0];
+        aim(ball, 160, 367.5, 3, 3);
+        for (let i = 0; i < 10; i++) game.update();
+        if (!(ball.vx < 0 && ball.vy < 0)) return `bounced to (${ball.vx.toFixed(2)}, ${ball.vy.toFixed(2)})`;
+        return null;
+    },
+
+    // Side wall then brick face within one step, in that order
+    'two contacts in one step resolve in time order'() {
+        const game = setup();
+        addBrick(game, 16, 0, { steel: true }); // x 0..60, top face y 387.5
+        const ball = game.ballsTop[0];
+        aim(ball, 14, 372, -10, 10);
+        game.update();
+        if (!(ball.vx > 0 && ball.vy < 0)) return `left with (${ball.vx.toFixed(2)}, ${ball.vy.toFixed(2)})`;
+        if (ball.x < ball.radius || ball.y > 387.5 - ball.radius) return `ended inside at (${ball.x.toFixed(1)}, ${ball.y.toFixed(1)})`;
+        return null;
+    },
+
+    // A hit on a brick in the edge column used to eject the ball past the side wall
+    'edge bricks never push a ball out of the field'() {
+        for (const [seed, ticks] of [[11, 6000], [21, 8000]]) {
+            const game = new Game({ width: 400, height: 800, seed });
+            game.start();
+            game.enableDemo();
+            while (game.running && game.tick < ticks) {
+                game.update();
+                for (const b of [...game.ballsTop, ...game.ballsBottom]) {
+                    if (b.active && (b.x < b.radius || b.x > game.width - b.radius)) {
+                        return `seed ${seed} tick ${game.tick}: x=${b.x.toFixed(1)}`;
+                    }
+                }
+            }
+        }
+        return null;
+    },
+
+    // The spawned ball starts touching the same brick; it must not collect it again
+    'a power-up brick pays out once per step'() {
+        const game = setup();
+        for (let col = -1; col <= 7; col++) addBrick(game, 16, col);
+        addBrick(game, 29, 3, { type: 'extraBall' }); // just in front of the bottom paddle
+        let collected = 0;
+        game.on('powerUp', () => {
+            if (++collected > 10) throw new Error('power-up collected in a loop');
+        });
+        const ball = game.ballsBottom[0];
+        ball.launch(game.paddleBottom, game.paddleBottom.x, 0);
+        for (let i = 0; i < 10 && collected === 0; i++) game.update();
+        if (collected !== 1) return `collected ${collected} times`;
+        if (game.ballsBottom.length !== 2) return `${game.ballsBottom.length} balls on the side`;
+        return null;
+    },
+
+    // Closing at 20px a step: would pass through each other between two steps
+    'opposing balls meeting head-on swap velocities'() {
+        const game = setup({ ballCollisions: 'opponents' });
+        const red = game.ballsTop[0], blue = game.ballsBottom[0];
+        aim(red, 210, 200, 0, 10);
+        aim(blue, 210, 229, 0, -10);
+        game.update();
+        if (!(red.vy < 0 && blue.vy > 0)) return `red vy ${red.vy}, blue vy ${blue.vy}`;
+        if (blue.y - red.y < red.radius + blue.radius - 1e-9) return `still overlapping (${(blue.y - red.y).toFixed(2)}px apart)`;
+        return null;
+    },
+
+    'glancing hit keeps the total momentum'() {
+        const game = setup({ ballCollisions: 'all' });
+        const red = game.ballsTop[0], blue = game.ballsBottom[0];
+        aim(red, 200, 300, 3, 4);
+        aim(blue, 220, 320, -2, -3);
+        const before = [red.vx + blue.vx, red.vy + blue.vy];
+        let hits = 0;
+        game.on('ballCollision', () => hits++);
+        for (let i = 0; i < 5; i++) game.update();
+        const after = [red.vx + blue.vx, red.vy + blue.vy];
+        if (hits !== 1) return `${hits} collisions`;
+        if (Math.abs(after[0] - before[0]) > 1e-9 || Math.abs(after[1] - before[1]) > 1e-9) return `momentum ${before} -> ${after}`;
+        return null;
+    },
+
+    // Blue sits one radius above the surface and takes red's 16px/step on the
+    // hit; the rest of the step must bounce it off instead of carrying it in
+    'a ball knocked into a brick bounces off it'() {
+        const game = setup({ ballCollisions: 'all' });
+        addBrick(game, 16, 3, { steel: true }); // top face y 387.5
+        return knockInto(game, 387.5);
+    },
+
+    'a ball knocked into a paddle bounces off it'() {
+        const game = setup({ ballCollisions: 'all' });
+        return knockInto(game, game.paddleBottom.getBounds().top);
+    },
+
+    'red vs blue lets a side\'s own balls pass'() {
+        const game = setup({ ballCollisions: 'opponents' });
+        game.spawnExtraBall('bottom');
+        const [a, b] = game.ballsBottom;
+        aim(a, 210, 400, 0, -5);
+        aim(b, 210, 300, 0, 5);
+        for (let i = 0; i < 20; i++) game.update();
+        if (!(a.vy < 0 && b.vy > 0)) return 'they bounced';
+        return null;
+    }
+};
+
+let failures = 0;
+for (const [name, run] of Object.entries(scenarios)) {
+    let problem;
+    try {
+        problem = run();
+    } catch (e) {
+        problem = e.message;
+    }
+    if (problem) failures++;
+    console.log(problem ? `FAIL ${name}: ${problem}` : `ok   ${name}`);
+}
+if (failures > 0) process.exitCode = 1;
@@ -0,0 +1,103 @@
+// Save and restore checks.
+//
+//   node tools/saves.mjs
+//
+// A match saved part way through and restored into a fresh Game must carry on
+// exactly as the original does, and saves that are damaged or edited by hand
+// must be rejected by validateSave before anything is restored.
+import { Game } from '../src/game.js';
+import { serializeMatch, validateSave, restoreMatch } from '../src/savegame.js';
+import { PRESETS } from '../src/rules.js';
+import { BUILTIN_LAYOUTS } from '../src/layouts.js';
+
+const WIDTH = 420;
+const HEIGHT = 820;
+
+// A save as it comes back out of localStorage
+const roundTrip = (game) => JSON.parse(JSON.stringify(serializeMatch(game)));
+const snapshot = (game) => {
+    const data = serializeMatch(game);
+    delete data.savedAt;
+    return JSON.stringify(data);
+};
+
+function demoMatch(seed, preset, layout, ticks) {
+    const game = new Game({ width: WIDTH, height: HEIGHT, seed, rules: PRESETS[preset].rules, layout: BUILTIN_LAYOUTS[layout].layout });
+    game.start();
+    game.enableDemo();
+    while (game.running && game.tick < ticks) game.update();
+    return game;
+}
+
+function continuesIdentically(seed, preset, layout, ticks) {
+    const original = demoMatch(seed, preset, layout, ticks);
+    const restored = new Game({ width: 300, height: 500, seed: 1 });
+    restoreMatch(restored, validateSave(roundTrip(original)));
+    restored.enableDemo();
+    for (let i = 0; i < 3000 && original.running; i++) {
+        if (snapshot(original) !== snapshot(restored)) return `diverged at tick ${original.tick}`;
+        original.update();
+        restored.update();
+    }
+    if (snapshot(original) !== snapshot(restored)) return `diverged at tick ${original.tick}`;
+    return null;
+}
+
+// The save from a short match with `edit` applied must be rejected
+function rejects(edit) {
+    const data = roundTrip(demoMatch(3, 'classic', 'fortress', 300));
+    edit(data);
+    try {
+        validateSave(data);
+    } catch (e) {
+        return null;
+    }
+    return 'accepted';
+}
+
+const scenarios = {
+    'classic match continues identically'() {
+        return continuesIdentically(3, 'classic', 'zigzag', 900);
+    },
+
+    'chaos match continues identically'() {
+        return continuesIdentically(9, 'chaos', 'holes', 700);
+    },
+
+    'rejects another format'() {
+        return rejects((data) => { data.format = 'something-else'; });
+    },
+
+    'rejects another version'() {
+        return rejects((data) => { data.version = 0; });
+    },
+
+    'rejects an unknown brick type'() {
+        return rejects((data) => { data.wall.bricks[0].type = 'bogus'; });
+    },
+
+    'rejects a brick inert from no side'() {
+        return rejects((data) => { data.wall.bricks[0].inert = 'left'; });
+    },
+
+    'rejects two bricks in one cell'() {
+        return rejects((data) => { data.wall.bricks.push({ ...data.wall.bricks[0] }); });
+    },
+
+    'rejects a ball without a position'() {
+        return rejects((data) => { delete data.balls.top[0].x; });
+    }
+};
+
+let failures = 0;
+for (const [name, run] of Object.entries(scenarios)) {
+    let problem;
+    try {
+        problem = run();
+    } catch (e) {
+        problem = e.message;
+    }
+    if (problem) failures++;
+    console.log(problem ? `FAIL ${name}: ${problem}` : `ok   ${name}`);
+}
+if (failures > 0) process.exitCode = 1;
@@ -0,0 +1,63 @@
+// Headless AI-vs-AI match runner.
+//
+//   node tools/simulate.mjs [matches] [width] [height] [seed]
+//
+// Runs the DOM-free game core to gather win rates, match lengths and power-up
+// counts, and flags physics problems (NaN positions, balls escaping the side
+// walls, matches that never finish). Match m uses seed + m, so any reported
+// anomaly can be replayed in the browser with ?seed=<that seed>.
+import { Game, TICK_MS } from '../src/game.js';
+import { randomSeed } from '../src/random.js';
+
+const matches = Number(process.argv[2]) || 100;
+const width = Number(process.argv[3]) || 400;
+const height = Number(process.argv[4]) || 800;
+const baseSeed = (process.argv[5] !== undefined) ? Number(process.argv[5]) >>> 0 : randomSeed();
+const maxTicks = 60 * 60 * 5; // 5 simulated minutes
+
+const wins = { top: 0, bottom: 0 };
+const powerUps = {};
+const anomalies = [];
+let anomalyCount = 0;
+let totalTicks = 0;
+let stalled = 0;
+
+for (let m = 0; m < matches; m++) {
+    const seed = (baseSeed + m) >>> 0;
+    const game = new Game({ width, height, seed });
+    game.on('powerUp', ({ type }) => {
+        powerUps[type] = (powerUps[type] || 0) + 1;
+    });
+    game.start();
+    game.enableDemo();
+
+    while (game.running && game.tick < maxTicks) {
+        game.update();
+        for (const b of [...game.ballsTop, ...game.ballsBottom]) {
+            let problem = null;
+            if (!Number.isFinite(b.x) || !Number.isFinite(b.y)) problem = 'non-finite ball position';
+            else if (b.active && (b.x < 0 || b.x > width)) problem = `ball escaped side wall at x=${b.x.toFixed(1)}`;
+            if (problem) {
+                anomalyCount++;
+                if (anomalies.length < 20) anomalies.push(`seed ${seed} tick ${game.tick}: ${problem}`);
+            }
+        }
+    }
+
+    if (game.running) stalled++;
+    else wins[game.winData.winner]++;
+    totalTicks += game.tick;
+}
+
+const avgSeconds = (totalTicks / matches) * TICK_MS / 1000;
+console.log(`matches:      ${matches} (${width}x${height}, seeds ${baseSeed}..${(baseSeed + matches - 1) >>> 0})`);
+console.log(`red wins:     ${wins.top}`);
+console.log(`blue wins:    ${wins.bottom}`);
+console.log(`unfinished:   ${stalled}`);
+console.log(`avg length:   ${avgSeconds.toFixed(1)}s`);
+console.log('power-ups:   ', powerUps);
+if (anomalyCount > 0) {
+    console.log(`anomalies:    ${anomalyCount}`);
+    for (const a of anomalies) console.log(`  ${a}`);
+    process.exitCode = 1;
+}